@@ -0,0 +1,72 @@
+// Versioned AES envelope for encrypted fields (the PAN, receipts):
+// { version, algorithm, iv, tag, ciphertext }, all base64 except version and algorithm.
+// There is deliberately no fallback: a mode that fails or is unknown is an error.
+
+import { ocbEncrypt, ocbDecrypt } from './aesOcb';
+import { ocbKeyMaterial } from './sessionKeys';
+
+export const AES_ENVELOPE_VERSION = 1;
+export const AES_IV_LENGTH = 12;
+export const AES_TAG_LENGTH = 16;
+
+const toBase64 = (bytes) => btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+
+const fromBase64 = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+// key is a session key handle: an AES-GCM CryptoKey, or the opaque OCB handle from sessionKeys
+export const sealEnvelope = async (key, plaintext, aesMode = 'AES-GCM', subtle = crypto.subtle) => {
+    const iv = crypto.getRandomValues(new Uint8Array(AES_IV_LENGTH));
+    const plaintextBytes = new TextEncoder().encode(plaintext);
+
+    let sealed;
+    try {
+        if (aesMode === 'AES-OCB') {
+            sealed = ocbEncrypt(ocbKeyMaterial(key), iv, plaintextBytes);
+        } else if (aesMode === 'AES-GCM') {
+            sealed = new Uint8Array(await subtle.encrypt({ name: 'AES-GCM', iv, tagLength: AES_TAG_LENGTH * 8 }, key, plaintextBytes));
+        } else {
+            throw new Error(`Unsupported AES mode: ${aesMode}`);
+        }
+    } catch (error) {
+        throw new Error('AES encryption failed: ' + error.message);
+    }
+
+    return {
+        version: AES_ENVELOPE_VERSION,
+        algorithm: aesMode,
+        iv: toBase64(iv),
+        tag: toBase64(sealed.subarray(sealed.length - AES_TAG_LENGTH)),
+        ciphertext: toBase64(sealed.subarray(0, sealed.length - AES_TAG_LENGTH))
+    };
+};
+
+// Open an envelope produced by sealEnvelope (or by the server in the same format)
+export const openEnvelope = async (key, envelope, subtle = crypto.subtle) => {
+    if (!envelope || envelope.version !== AES_ENVELOPE_VERSION) {
+        throw new Error(`AES decryption failed: unsupported envelope version ${envelope && envelope.version}`);
+    }
+
+    const iv = fromBase64(envelope.iv);
+    const tag = fromBase64(envelope.tag);
+    const ciphertext = fromBase64(envelope.ciphertext);
+    if (tag.length !== AES_TAG_LENGTH) {
+        throw new Error('AES decryption failed: authentication tag has the wrong length');
+    }
+    const sealed = new Uint8Array(ciphertext.length + tag.length);
+    sealed.set(ciphertext);
+    sealed.set(tag, ciphertext.length);
+
+    try {
+        let plaintext;
+        if (envelope.algorithm === 'AES-OCB') {
+            plaintext = ocbDecrypt(ocbKeyMaterial(key), iv, sealed);
+        } else if (envelope.algorithm === 'AES-GCM') {
+            plaintext = await subtle.decrypt({ name: 'AES-GCM', iv, tagLength: AES_TAG_LENGTH * 8 }, key, sealed);
+        } else {
+            throw new Error(`Unsupported AES mode: ${envelope.algorithm}`);
+        }
+        return new TextDecoder().decode(plaintext);
+    } catch (error) {
+        throw new Error('AES decryption failed: ' + error.message);
+    }
+};
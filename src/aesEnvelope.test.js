@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ */
+
+import { webcrypto } from 'crypto';
+import { importSessionKeys } from './sessionKeys';
+import { sealEnvelope, openEnvelope, AES_ENVELOPE_VERSION } from './aesEnvelope';
+
+const { subtle } = webcrypto;
+const AES_KEY_BASE64 = 'AAECAwQFBgcICQoLDA0ODxAREhMUFRYXGBkaGxwdHh8=';
+const HMAC_KEY_BASE64 = 'H2hKNb3s3m0JwTq8yF4uXwZ2cVb1nR7aLkP0eD9iOgM=';
+
+const sessionKey = async (aesMode) =>
+    (await importSessionKeys({ aesKeyBase64: AES_KEY_BASE64, hmacKeyBase64: HMAC_KEY_BASE64, aesMode }, subtle)).aesKey;
+
+// Flip one bit of a base64 field
+const tamper = (base64) => {
+    const bytes = Buffer.from(base64, 'base64');
+    bytes[0] ^= 1;
+    return bytes.toString('base64');
+};
+
+beforeAll(() => {
+    global.crypto = webcrypto;
+});
+
+test.each(['AES-GCM', 'AES-OCB'])('round-trips a %s envelope', async (aesMode) => {
+    const key = await sessionKey(aesMode);
+    const envelope = await sealEnvelope(key, '{"pan":"4111111111111111"}', aesMode, subtle);
+
+    expect(envelope).toMatchObject({ version: AES_ENVELOPE_VERSION, algorithm: aesMode });
+    expect(Buffer.from(envelope.iv, 'base64')).toHaveLength(12);
+    expect(Buffer.from(envelope.tag, 'base64')).toHaveLength(16);
+    await expect(openEnvelope(key, envelope, subtle)).resolves.toBe('{"pan":"4111111111111111"}');
+});
+
+test.each(['AES-GCM', 'AES-OCB'])('rejects a %s envelope with a tampered tag, ciphertext or IV', async (aesMode) => {
+    const key = await sessionKey(aesMode);
+    const envelope = await sealEnvelope(key, 'receipt', aesMode, subtle);
+
+    for (const field of ['tag', 'ciphertext', 'iv']) {
+        await expect(openEnvelope(key, { ...envelope, [field]: tamper(envelope[field]) }, subtle))
+            .rejects.toThrow('AES decryption failed');
+    }
+});
+
+test('rejects a tag of the wrong length', async () => {
+    const key = await sessionKey('AES-GCM');
+    const envelope = await sealEnvelope(key, 'receipt', 'AES-GCM', subtle);
+    const shortTag = Buffer.from(envelope.tag, 'base64').subarray(0, 12).toString('base64');
+
+    await expect(openEnvelope(key, { ...envelope, tag: shortTag }, subtle))
+        .rejects.toThrow('authentication tag has the wrong length');
+});
+
+test('rejects unsupported versions and algorithms', async () => {
+    const key = await sessionKey('AES-GCM');
+    const envelope = await sealEnvelope(key, 'receipt', 'AES-GCM', subtle);
+
+    await expect(openEnvelope(key, { ...envelope, version: 2 }, subtle)).rejects.toThrow('unsupported envelope version 2');
+    await expect(openEnvelope(key, null, subtle)).rejects.toThrow('unsupported envelope version');
+    await expect(openEnvelope(key, { ...envelope, algorithm: 'AES-CBC' }, subtle)).rejects.toThrow('Unsupported AES mode: AES-CBC');
+    await expect(sealEnvelope(key, 'receipt', 'AES-CBC', subtle)).rejects.toThrow('Unsupported AES mode: AES-CBC');
+});
@@ -0,0 +1,181 @@
+import { ecb } from '@noble/ciphers/aes.js';
+
+// AES-OCB3 (RFC 7253) with a 128-bit tag, built on the AES block cipher from @noble/ciphers,
+// which has no OCB mode of its own. Nonces may be 1 to 15 bytes; 12 is recommended.
+
+const BLOCK_SIZE = 16;
+const TAG_LENGTH = 16;
+
+const xorBlock = (a, b) => {
+    const out = new Uint8Array(BLOCK_SIZE);
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+        out[i] = a[i] ^ b[i];
+    }
+    return out;
+};
+
+// Multiply by x in GF(2^128)
+const double = (block) => {
+    const out = new Uint8Array(BLOCK_SIZE);
+    for (let i = 0; i < BLOCK_SIZE - 1; i++) {
+        out[i] = ((block[i] << 1) | (block[i + 1] >>> 7)) & 0xff;
+    }
+    out[BLOCK_SIZE - 1] = ((block[BLOCK_SIZE - 1] << 1) & 0xff) ^ (block[0] & 0x80 ? 0x87 : 0);
+    return out;
+};
+
+// Number of trailing zero bits
+const ntz = (n) => {
+    let count = 0;
+    while ((n & 1) === 0) {
+        n >>>= 1;
+        count++;
+    }
+    return count;
+};
+
+// Pad a partial block as X || 1 || 0*
+const padBlock = (partial) => {
+    const out = new Uint8Array(BLOCK_SIZE);
+    out.set(partial);
+    out[partial.length] = 0x80;
+    return out;
+};
+
+const constantTimeEqual = (a, b) => {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a[i] ^ b[i];
+    }
+    return diff === 0;
+};
+
+const createContext = (key) => {
+    // noble refuses to reuse an ECB instance, so each block gets its own
+    const encryptBlock = (block) => ecb(key, { disablePadding: true }).encrypt(block);
+    const decryptBlock = (block) => ecb(key, { disablePadding: true }).decrypt(block);
+
+    const lStar = encryptBlock(new Uint8Array(BLOCK_SIZE));
+    const lDollar = double(lStar);
+    const lTable = [double(lDollar)];
+    const getL = (i) => {
+        while (lTable.length <= i) {
+            lTable.push(double(lTable[lTable.length - 1]));
+        }
+        return lTable[i];
+    };
+
+    return { encryptBlock, decryptBlock, lStar, lDollar, getL };
+};
+
+const initialOffset = (ctx, nonce) => {
+    if (nonce.length < 1 || nonce.length > 15) {
+        throw new Error('AES-OCB nonce must be 1 to 15 bytes');
+    }
+
+    // Nonce = num2str(TAGLEN mod 128, 7) || zeros || 1 || N; with a 128-bit tag the prefix is zero
+    const nonceBlock = new Uint8Array(BLOCK_SIZE);
+    nonceBlock.set(nonce, BLOCK_SIZE - nonce.length);
+    nonceBlock[BLOCK_SIZE - nonce.length - 1] |= 0x01;
+
+    const bottom = nonceBlock[BLOCK_SIZE - 1] & 0x3f;
+    nonceBlock[BLOCK_SIZE - 1] &= 0xc0;
+    const kTop = ctx.encryptBlock(nonceBlock);
+
+    const stretch = new Uint8Array(BLOCK_SIZE + 8);
+    stretch.set(kTop);
+    for (let i = 0; i < 8; i++) {
+        stretch[BLOCK_SIZE + i] = kTop[i] ^ kTop[i + 1];
+    }
+
+    // Offset_0 = Stretch[1+bottom..128+bottom]
+    const byteShift = bottom >>> 3;
+    const bitShift = bottom & 7;
+    const offset = new Uint8Array(BLOCK_SIZE);
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+        const hi = stretch[i + byteShift] << bitShift;
+        const lo = bitShift ? stretch[i + byteShift + 1] >>> (8 - bitShift) : 0;
+        offset[i] = (hi | lo) & 0xff;
+    }
+    return offset;
+};
+
+const hashAssociatedData = (ctx, associatedData) => {
+    let sum = new Uint8Array(BLOCK_SIZE);
+    let offset = new Uint8Array(BLOCK_SIZE);
+    const fullBlocks = Math.floor(associatedData.length / BLOCK_SIZE);
+
+    for (let i = 1; i <= fullBlocks; i++) {
+        offset = xorBlock(offset, ctx.getL(ntz(i)));
+        const block = associatedData.subarray((i - 1) * BLOCK_SIZE, i * BLOCK_SIZE);
+        sum = xorBlock(sum, ctx.encryptBlock(xorBlock(block, offset)));
+    }
+
+    const remainder = associatedData.subarray(fullBlocks * BLOCK_SIZE);
+    if (remainder.length > 0) {
+        offset = xorBlock(offset, ctx.lStar);
+        sum = xorBlock(sum, ctx.encryptBlock(xorBlock(padBlock(remainder), offset)));
+    }
+    return sum;
+};
+
+// Shared by encrypt and decrypt; `input` is plaintext or ciphertext (without tag)
+const runOcb = (key, nonce, input, associatedData, decrypting) => {
+    const ctx = createContext(key);
+    let offset = initialOffset(ctx, nonce);
+    let checksum = new Uint8Array(BLOCK_SIZE);
+    const output = new Uint8Array(input.length);
+    const fullBlocks = Math.floor(input.length / BLOCK_SIZE);
+
+    for (let i = 1; i <= fullBlocks; i++) {
+        offset = xorBlock(offset, ctx.getL(ntz(i)));
+        const block = input.subarray((i - 1) * BLOCK_SIZE, i * BLOCK_SIZE);
+        const transform = decrypting ? ctx.decryptBlock : ctx.encryptBlock;
+        const result = xorBlock(offset, transform(xorBlock(block, offset)));
+        output.set(result, (i - 1) * BLOCK_SIZE);
+        checksum = xorBlock(checksum, decrypting ? result : block);
+    }
+
+    const remainder = input.subarray(fullBlocks * BLOCK_SIZE);
+    if (remainder.length > 0) {
+        offset = xorBlock(offset, ctx.lStar);
+        const pad = ctx.encryptBlock(offset);
+        const result = new Uint8Array(remainder.length);
+        for (let i = 0; i < remainder.length; i++) {
+            result[i] = remainder[i] ^ pad[i];
+        }
+        output.set(result, fullBlocks * BLOCK_SIZE);
+        checksum = xorBlock(checksum, padBlock(decrypting ? result : remainder));
+    }
+
+    const tag = xorBlock(
+        ctx.encryptBlock(xorBlock(xorBlock(checksum, offset), ctx.lDollar)),
+        hashAssociatedData(ctx, associatedData)
+    );
+    return { output, tag };
+};
+
+// Returns ciphertext || tag
+export const ocbEncrypt = (key, nonce, plaintext, associatedData = new Uint8Array(0)) => {
+    const { output, tag } = runOcb(key, nonce, plaintext, associatedData, false);
+    const sealed = new Uint8Array(output.length + TAG_LENGTH);
+    sealed.set(output);
+    sealed.set(tag, output.length);
+    return sealed;
+};
+
+// Takes ciphertext || tag; throws if the tag does not verify
+export const ocbDecrypt = (key, nonce, sealed, associatedData = new Uint8Array(0)) => {
+    if (sealed.length < TAG_LENGTH) {
+        throw new Error('AES-OCB ciphertext is shorter than its tag');
+    }
+    const ciphertext = sealed.subarray(0, sealed.length - TAG_LENGTH);
+    const expectedTag = sealed.subarray(sealed.length - TAG_LENGTH);
+    const { output, tag } = runOcb(key, nonce, ciphertext, associatedData, true);
+    if (!constantTimeEqual(tag, expectedTag)) {
+        output.fill(0);
+        throw new Error('AES-OCB authentication failed');
+    }
+    return output;
+};
@@ -0,0 +1,34 @@
+import { ocbEncrypt, ocbDecrypt } from './aesOcb';
+
+const hex = (value) => new Uint8Array((value.match(/.{2}/g) || []).map(byte => parseInt(byte, 16)));
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+const range = (length) => toHex(Array.from({ length }, (_, i) => i));
+
+// RFC 7253 Appendix A, AES-128 with a 128-bit tag
+const KEY = hex('000102030405060708090A0B0C0D0E0F');
+const VECTORS = [
+    { nonce: 'BBAA99887766554433221100', a: '', p: '', c: '785407BFFFC8AD9EDCC5520AC9111EE6' },
+    { nonce: 'BBAA99887766554433221101', a: range(8), p: range(8), c: '6820B3657B6F615A5725BDA0D3B4EB3A257C9AF1F8F03009' },
+    { nonce: 'BBAA99887766554433221102', a: range(8), p: '', c: '81017F8203F081277152FADE694A0A00' },
+    { nonce: 'BBAA99887766554433221103', a: '', p: range(8), c: '45DD69F8F5AAE72414054CD1F35D82760B2CD00D2F99BFA9' },
+    { nonce: 'BBAA99887766554433221104', a: range(16), p: range(16), c: '571D535B60B277188BE5147170A9A22C3AD7A4FF3835B8C5701C1CCEC8FC3358' },
+    { nonce: 'BBAA99887766554433221105', a: range(16), p: '', c: '8CF761B6902EF764462AD86498CA6B97' },
+    { nonce: 'BBAA99887766554433221106', a: '', p: range(16), c: '5CE88EC2E0692706A915C00AEB8B2396F40E1C743F52436BDF06D8FA1ECA343D' },
+    { nonce: 'BBAA99887766554433221107', a: range(24), p: range(24), c: '1CA2207308C87C010756104D8840CE1952F09673A448A122C92C62241051F57356D7F3C90BB0E07F' },
+    { nonce: 'BBAA99887766554433221108', a: range(24), p: '', c: '6DC225A071FC1B9F7C69F93B0F1E10DE' },
+    { nonce: 'BBAA99887766554433221109', a: '', p: range(24), c: '221BD0DE7FA6FE993ECCD769460A0AF2D6CDED0C395B1C3CE725F32494B9F914D85C0B1EB38357FF' }
+];
+
+test.each(VECTORS)('encrypts RFC 7253 vector with nonce $nonce', ({ nonce, a, p, c }) => {
+    expect(toHex(ocbEncrypt(KEY, hex(nonce), hex(p), hex(a)))).toBe(c);
+});
+
+test.each(VECTORS)('decrypts RFC 7253 vector with nonce $nonce', ({ nonce, a, p, c }) => {
+    expect(toHex(ocbDecrypt(KEY, hex(nonce), hex(c), hex(a)))).toBe(p);
+});
+
+test('rejects a tampered ciphertext', () => {
+    const sealed = ocbEncrypt(KEY, hex('BBAA99887766554433221101'), hex(range(8)));
+    sealed[0] ^= 0x01;
+    expect(() => ocbDecrypt(KEY, hex('BBAA99887766554433221101'), sealed)).toThrow('AES-OCB authentication failed');
+});
@@ -0,0 +1,226 @@
+// Shared fetch wrapper for the backend API: typed errors parsed from the error body,
+// per-request timeouts and retries with exponential backoff for idempotent calls.
+
+export class ApiError extends Error {
+    constructor(message, { status = null, code = null, fieldErrors = {}, details = null } = {}) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.fieldErrors = fieldErrors;
+        this.details = details;
+    }
+}
+
+// 400/422: the request was understood but a field is invalid
+export class ValidationError extends ApiError {}
+
+// 401/403: credentials or session keys were refused
+export class AuthError extends ApiError {}
+
+// The server could not verify an HMAC or RSA signature
+export class SignatureMismatchError extends AuthError {}
+
+// The session key used to sign the request is unknown or expired on the server
+export class StaleKeyError extends AuthError {}
+
+// The operator's access token expired or was revoked
+export class SessionExpiredError extends AuthError {}
+
+// 409: the resource changed or the request was already processed
+export class ConflictError extends ApiError {}
+
+// 5xx
+export class ServerError extends ApiError {}
+
+export class TimeoutError extends ApiError {}
+
+export class NetworkError extends ApiError {}
+
+// Set explicitly because minification renames classes
+[
+    [ApiError, 'ApiError'],
+    [ValidationError, 'ValidationError'],
+    [AuthError, 'AuthError'],
+    [SignatureMismatchError, 'SignatureMismatchError'],
+    [StaleKeyError, 'StaleKeyError'],
+    [SessionExpiredError, 'SessionExpiredError'],
+    [ConflictError, 'ConflictError'],
+    [ServerError, 'ServerError'],
+    [TimeoutError, 'TimeoutError'],
+    [NetworkError, 'NetworkError']
+].forEach(([ErrorClass, name]) => {
+    ErrorClass.prototype.name = name;
+});
+
+const SIGNATURE_ERROR_CODES = ['SIGNATURE_MISMATCH', 'INVALID_SIGNATURE', 'HMAC_MISMATCH'];
+const STALE_KEY_ERROR_CODES = ['STALE_KEY', 'KEY_EXPIRED', 'UNKNOWN_KEY'];
+const SESSION_ERROR_CODES = ['TOKEN_EXPIRED', 'INVALID_TOKEN', 'SESSION_EXPIRED'];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+export const DEFAULT_TIMEOUT_MS = 15000;
+export const DEFAULT_RETRIES = 2;
+export const DEFAULT_RETRY_DELAY_MS = 500;
+
+// Accept both `{ field: message }` and Spring-style `[{ field, defaultMessage }]`
+const normalizeFieldErrors = (body) => {
+    const raw = body.fieldErrors || body.errors;
+    if (!raw) return {};
+    if (Array.isArray(raw)) {
+        return raw.reduce((fieldErrors, entry) => {
+            if (entry && entry.field) {
+                fieldErrors[entry.field] = entry.message || entry.defaultMessage || 'Invalid value';
+            }
+            return fieldErrors;
+        }, {});
+    }
+    return typeof raw === 'object' ? { ...raw } : {};
+};
+
+const errorClassFor = (status, code) => {
+    if (SIGNATURE_ERROR_CODES.includes(code)) return SignatureMismatchError;
+    if (STALE_KEY_ERROR_CODES.includes(code)) return StaleKeyError;
+    if (SESSION_ERROR_CODES.includes(code)) return SessionExpiredError;
+    if (status === 400 || status === 422) return ValidationError;
+    if (status === 401 || status === 403) return AuthError;
+    if (status === 409) return ConflictError;
+    if (status >= 500) return ServerError;
+    return ApiError;
+};
+
+// Build a typed error from a non-2xx response, keeping whatever the backend explained
+export const parseErrorResponse = async (response) => {
+    let body = {};
+    try {
+        const text = await response.text();
+        if (text) {
+            const parsed = JSON.parse(text);
+            body = parsed && typeof parsed === 'object' ? parsed : { message: String(parsed) };
+        }
+    } catch (error) {
+        // Not JSON; fall back to the status line
+    }
+
+    const code = body.code || body.errorCode || null;
+    const message = body.message || body.error || `HTTP error! status: ${response.status}`;
+    const ErrorClass = errorClassFor(response.status, code);
+    return new ErrorClass(message, {
+        status: response.status,
+        code,
+        fieldErrors: normalizeFieldErrors(body),
+        details: body
+    });
+};
+
+const isRetryable = (error) =>
+    error instanceof TimeoutError ||
+    error instanceof NetworkError ||
+    (error instanceof ApiError && RETRYABLE_STATUSES.includes(error.status));
+
+// The request may have been processed even though no usable answer came back
+export const isOutcomeUnknown = (error) =>
+    error instanceof TimeoutError ||
+    error instanceof NetworkError ||
+    error instanceof ServerError;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// getAuthToken returns the bearer token to send (or null); refreshAuth renews it once
+// when the server reports it expired, after which the request is sent again
+export const createApiClient = ({
+    baseUrl = '',
+    fetchImpl = (...args) => fetch(...args),
+    timeoutMs: defaultTimeoutMs = DEFAULT_TIMEOUT_MS,
+    retryDelayMs: defaultRetryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    getAuthToken = async () => null,
+    refreshAuth = null
+} = {}) => {
+    const buildUrl = (path, query) => {
+        const url = `${baseUrl}${path}`;
+        if (!query) return url;
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.append(key, value);
+            }
+        });
+        const queryString = params.toString();
+        return queryString ? `${url}?${queryString}` : url;
+    };
+
+    const attempt = async (url, init, timeoutMs) => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        let response;
+        try {
+            response = await fetchImpl(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new TimeoutError(`Request timed out after ${timeoutMs} ms`);
+            }
+            throw new NetworkError(`Network error: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            throw await parseErrorResponse(response);
+        }
+        if (response.status === 204) {
+            return null;
+        }
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    };
+
+    const withAuth = async (init) => {
+        const token = await getAuthToken();
+        return token ? { ...init, headers: { ...init.headers, Authorization: `Bearer ${token}` } } : init;
+    };
+
+    // Only idempotent methods are retried unless the caller says otherwise.
+    // Pass auth: false for the login and refresh calls themselves.
+    const request = async (path, {
+        method = 'GET',
+        body,
+        headers = {},
+        query,
+        auth = true,
+        timeoutMs = defaultTimeoutMs,
+        retries = IDEMPOTENT_METHODS.includes(method) ? DEFAULT_RETRIES : 0,
+        retryDelayMs = defaultRetryDelayMs
+    } = {}) => {
+        const init = { method, headers: { ...headers } };
+        if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+        const url = buildUrl(path, query);
+        let refreshed = false;
+
+        for (let attemptNumber = 0; ; attemptNumber++) {
+            try {
+                return await attempt(url, auth ? await withAuth(init) : init, timeoutMs);
+            } catch (error) {
+                // An expired token was rejected before the request was processed, so it is safe to resend
+                if (auth && refreshAuth && !refreshed && error instanceof SessionExpiredError) {
+                    refreshed = true;
+                    await refreshAuth();
+                    attemptNumber--;
+                    continue;
+                }
+                if (attemptNumber >= retries || !isRetryable(error)) {
+                    throw error;
+                }
+                await sleep(retryDelayMs * (2 ** attemptNumber));
+            }
+        }
+    };
+
+    return {
+        request,
+        get: (path, options) => request(path, { ...options, method: 'GET' }),
+        post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+        put: (path, body, options) => request(path, { ...options, method: 'PUT', body })
+    };
+};
@@ -0,0 +1,111 @@
+import {
+    createApiClient,
+    ValidationError,
+    AuthError,
+    SignatureMismatchError,
+    StaleKeyError,
+    ConflictError,
+    ServerError,
+    TimeoutError,
+    NetworkError,
+    SessionExpiredError,
+    isOutcomeUnknown
+} from './apiClient';
+
+const jsonResponse = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    text: async () => (body === undefined ? '' : JSON.stringify(body))
+});
+
+test('returns parsed JSON on success', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(200, { status: 'OK' }));
+    const client = createApiClient({ baseUrl: '/api', fetchImpl });
+
+    await expect(client.get('/health')).resolves.toEqual({ status: 'OK' });
+    expect(fetchImpl).toHaveBeenCalledWith('/api/health', expect.objectContaining({ method: 'GET' }));
+});
+
+test.each([
+    [400, {}, ValidationError],
+    [401, {}, AuthError],
+    [401, { code: 'SIGNATURE_MISMATCH' }, SignatureMismatchError],
+    [401, { code: 'KEY_EXPIRED' }, StaleKeyError],
+    [409, {}, ConflictError],
+    [500, {}, ServerError]
+])('maps status %i %j to a typed error', async (status, body, ErrorClass) => {
+    const client = createApiClient({ fetchImpl: async () => jsonResponse(status, body) });
+    await expect(client.post('/merchants', {})).rejects.toBeInstanceOf(ErrorClass);
+});
+
+test('keeps the server message and field errors', async () => {
+    const body = { message: 'Validation failed', errors: [{ field: 'email', defaultMessage: 'must be a valid email' }] };
+    const client = createApiClient({ fetchImpl: async () => jsonResponse(400, body) });
+
+    const error = await client.post('/merchants', {}).catch(e => e);
+    expect(error.message).toBe('Validation failed');
+    expect(error.fieldErrors).toEqual({ email: 'must be a valid email' });
+});
+
+test('retries idempotent requests with backoff', async () => {
+    const fetchImpl = jest.fn()
+        .mockResolvedValueOnce(jsonResponse(503, {}))
+        .mockResolvedValueOnce(jsonResponse(200, { status: 'OK' }));
+    const client = createApiClient({ fetchImpl, retryDelayMs: 1 });
+
+    await expect(client.get('/health')).resolves.toEqual({ status: 'OK' });
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+});
+
+test('does not retry POST by default', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(503, {}));
+    const client = createApiClient({ fetchImpl, retryDelayMs: 1 });
+
+    await expect(client.post('/transactions', {})).rejects.toBeInstanceOf(ServerError);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+});
+
+test('aborts requests that exceed their timeout', async () => {
+    const fetchImpl = (url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+            const error = new Error('aborted');
+            error.name = 'AbortError';
+            reject(error);
+        });
+    });
+    const client = createApiClient({ fetchImpl });
+
+    await expect(client.get('/health', { timeoutMs: 5, retries: 0 })).rejects.toBeInstanceOf(TimeoutError);
+});
+
+test('treats lost responses and server errors as an unknown outcome', () => {
+    expect(isOutcomeUnknown(new TimeoutError('timed out'))).toBe(true);
+    expect(isOutcomeUnknown(new NetworkError('offline'))).toBe(true);
+    expect(isOutcomeUnknown(new ServerError('bad gateway', { status: 502 }))).toBe(true);
+    expect(isOutcomeUnknown(new ValidationError('bad amount', { status: 400 }))).toBe(false);
+});
+
+test('attaches the bearer token unless auth is turned off', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(200, {}));
+    const client = createApiClient({ fetchImpl, getAuthToken: async () => 'token-1' });
+
+    await client.get('/merchants');
+    await client.post('/auth/login', {}, { auth: false });
+    expect(fetchImpl.mock.calls[0][1].headers.Authorization).toBe('Bearer token-1');
+    expect(fetchImpl.mock.calls[1][1].headers.Authorization).toBeUndefined();
+});
+
+test('refreshes an expired token once and resends the request', async () => {
+    let token = 'old';
+    const fetchImpl = jest.fn((url, init) => Promise.resolve(init.headers.Authorization === 'Bearer old'
+        ? jsonResponse(401, { code: 'TOKEN_EXPIRED' })
+        : jsonResponse(200, { ok: true })));
+    const refreshAuth = jest.fn(async () => { token = 'new'; });
+    const client = createApiClient({ fetchImpl, getAuthToken: async () => token, refreshAuth });
+
+    await expect(client.post('/merchants', {})).resolves.toEqual({ ok: true });
+    expect(refreshAuth).toHaveBeenCalledTimes(1);
+
+    const stuck = createApiClient({ fetchImpl: async () => jsonResponse(401, { code: 'TOKEN_EXPIRED' }), refreshAuth });
+    await expect(stuck.get('/merchants')).rejects.toBeInstanceOf(SessionExpiredError);
+});
@@ -0,0 +1,149 @@
+// Bulk transaction import: parse a CSV of payments, validate each row with the same rules
+// as the transaction form, and run the submissions with a concurrency limit.
+
+import { parseCsv, toCsv } from './csv';
+import { validateCard, digitsOnly, detectBrand } from './cardInput';
+import { parseToMinorUnits, validateAmount } from './money';
+
+export const BATCH_MAX_ROWS = 500;
+export const DEFAULT_BATCH_CONCURRENCY = 4;
+
+// Header names are matched case-insensitively, ignoring spaces, dashes and underscores
+const HEADER_ALIASES = {
+    merchantid: 'merchantId',
+    merchant: 'merchantId',
+    amount: 'amount',
+    currency: 'currency',
+    pan: 'pan',
+    cardnumber: 'pan',
+    expiry: 'expiry',
+    expirydate: 'expiry',
+    cvv: 'cvv',
+    cvc: 'cvv',
+    intent: 'intent'
+};
+
+export const BATCH_REQUIRED_COLUMNS = ['merchantId', 'amount', 'currency', 'pan', 'expiry', 'cvv'];
+
+const INTENTS = ['SALE', 'AUTHORIZE'];
+
+const normalizeHeader = (header) => HEADER_ALIASES[header.toLowerCase().replace(/[\s_-]/g, '')] || null;
+
+const validateRow = (values, line, { currencies, merchantIds, now }) => {
+    const errors = {};
+
+    const merchantId = /^\d+$/.test(values.merchantId) ? parseInt(values.merchantId) : null;
+    if (merchantId === null) {
+        errors.merchantId = 'Merchant ID must be a number';
+    } else if (merchantIds && !merchantIds.includes(merchantId)) {
+        errors.merchantId = 'Unknown or inactive merchant';
+    }
+
+    const currency = currencies.find(entry => entry.code === values.currency.toUpperCase());
+    if (!currency) {
+        errors.currency = `Unsupported currency ${values.currency || '(empty)'}`;
+    } else {
+        const amountError = validateAmount(values.amount, currency);
+        if (amountError) errors.amount = amountError;
+    }
+
+    const card = { pan: values.pan, expiry: values.expiry, cvv: values.cvv };
+    Object.assign(errors, validateCard(card, now));
+
+    const intent = (values.intent || 'SALE').toUpperCase();
+    if (!INTENTS.includes(intent)) {
+        errors.intent = `Intent must be ${INTENTS.join(' or ')}`;
+    }
+
+    const brand = detectBrand(values.pan);
+    const valid = Object.keys(errors).length === 0;
+    return {
+        line,
+        merchantId,
+        amount: values.amount,
+        currency: currency ? currency.code : values.currency,
+        amountMinor: currency && !errors.amount ? parseToMinorUnits(values.amount, currency) : null,
+        intent,
+        panLast4: digitsOnly(values.pan).slice(-4),
+        brand: brand ? brand.name : null,
+        // Only rows that can be submitted carry card data
+        ...(valid ? { card } : {}),
+        errors,
+        status: valid ? 'ready' : 'invalid'
+    };
+};
+
+// Returns one row per CSV record (line numbers count the header as line 1). Problems with
+// the file as a whole, such as missing columns, are thrown.
+export const parseBatchCsv = (text, { currencies, merchantIds = null, now = new Date() }) => {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+        throw new Error('The file is empty');
+    }
+    const fields = header.map(normalizeHeader);
+    const missing = BATCH_REQUIRED_COLUMNS.filter(column => !fields.includes(column));
+    if (missing.length) {
+        throw new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+    }
+    if (records.length > BATCH_MAX_ROWS) {
+        throw new Error(`A batch can hold at most ${BATCH_MAX_ROWS} rows; this file has ${records.length}`);
+    }
+
+    return records.map((record, index) => {
+        const values = fields.reduce((row, field, column) => {
+            if (field) row[field] = (record[column] || '').trim();
+            return row;
+        }, {});
+        return validateRow(values, index + 2, { currencies, merchantIds, now });
+    });
+};
+
+// Rows safe to keep around for display: card data is dropped, and the file is parsed
+// again at submit time for the rows that are sent
+export const withoutCardData = (rows) => rows.map(({ card, ...row }) => row);
+
+// Run worker(item, index) for every item with at most `limit` in flight. A worker that
+// throws does not stop the others; its error is returned in place of a result.
+export const runWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runNext = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                results[index] = error;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, runNext));
+    return results;
+};
+
+const RESULT_COLUMNS = [
+    { key: 'line', header: 'Line' },
+    { key: 'merchantId', header: 'Merchant ID' },
+    { key: 'amount', header: 'Amount' },
+    { key: 'currency', header: 'Currency' },
+    { key: 'card', header: 'Card' },
+    { key: 'status', header: 'Status' },
+    { key: 'transactionId', header: 'Transaction ID' },
+    { key: 'idempotencyKey', header: 'Idempotency Key' },
+    { key: 'error', header: 'Error' }
+];
+
+// The results file never contains card data beyond the last four digits
+export const batchResultsToCsv = (rows) => toCsv(RESULT_COLUMNS, rows.map(row => ({
+    line: row.line,
+    merchantId: row.merchantId,
+    amount: row.amount,
+    currency: row.currency,
+    card: row.panLast4 ? `****${row.panLast4}` : '',
+    status: row.status,
+    transactionId: row.transactionId || '',
+    idempotencyKey: row.idempotencyKey || '',
+    error: row.error || Object.values(row.errors || {}).join('; ')
+})));
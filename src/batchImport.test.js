@@ -0,0 +1,76 @@
+import { parseBatchCsv, withoutCardData, runWithConcurrency, batchResultsToCsv, BATCH_MAX_ROWS } from './batchImport';
+import { DEFAULT_CURRENCIES } from './money';
+
+const options = { currencies: DEFAULT_CURRENCIES, merchantIds: [1, 2], now: new Date(2026, 0, 15) };
+
+test('validates each row with the transaction form rules', () => {
+    const text = [
+        'Merchant ID,Amount,Currency,Card Number,Expiry,CVV,Intent',
+        '1,10.50,usd,4111 1111 1111 1111,12/28,123,',
+        '3,10.505,XYZ,4111 1111 1111 1112,01/25,12,REFUND'
+    ].join('\n');
+
+    const [valid, invalid] = parseBatchCsv(text, options);
+    expect(valid).toMatchObject({ line: 2, merchantId: 1, currency: 'USD', amountMinor: 1050, intent: 'SALE', panLast4: '1111', brand: 'Visa', status: 'ready', errors: {} });
+    expect(invalid.status).toBe('invalid');
+    expect(Object.keys(invalid.errors).sort()).toEqual(['currency', 'cvv', 'expiry', 'intent', 'merchantId', 'pan']);
+});
+
+test('keeps card data only on submittable rows and strips it for display', () => {
+    const text = [
+        'merchantId,amount,currency,pan,expiry,cvv',
+        '1,10.50,USD,4111111111111111,12/28,123',
+        '1,10.50,USD,4111111111111112,12/28,123'
+    ].join('\n');
+
+    const [valid, invalid] = parseBatchCsv(text, options);
+    expect(valid.card).toEqual({ pan: '4111111111111111', expiry: '12/28', cvv: '123' });
+    expect(invalid).not.toHaveProperty('card');
+
+    const displayed = withoutCardData([valid, invalid]);
+    expect(displayed[0]).toMatchObject({ line: 2, panLast4: '1111', brand: 'Visa', status: 'ready' });
+    expect(JSON.stringify(displayed)).not.toMatch(/4111111111111111|4111111111111112|"123"|12\/28/);
+});
+
+test('rejects files with missing columns or too many rows', () => {
+    expect(() => parseBatchCsv('merchantId,amount,currency,pan\n', options)).toThrow('Missing columns: expiry, cvv');
+    expect(() => parseBatchCsv('', options)).toThrow('empty');
+
+    const header = 'merchantId,amount,currency,pan,expiry,cvv';
+    const row = '1,1.00,USD,4111111111111111,12/28,123';
+    const text = [header, ...Array(BATCH_MAX_ROWS + 1).fill(row)].join('\n');
+    expect(() => parseBatchCsv(text, options)).toThrow(`at most ${BATCH_MAX_ROWS} rows`);
+});
+
+test('never runs more workers than the limit and keeps going after a failure', async () => {
+    let running = 0;
+    let peak = 0;
+    const worker = async (item) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        running--;
+        if (item === 3) throw new Error('row 3 failed');
+        return item * 10;
+    };
+
+    const results = await runWithConcurrency([1, 2, 3, 4, 5], 2, worker);
+    expect(peak).toBe(2);
+    expect(results.slice(0, 2)).toEqual([10, 20]);
+    expect(results[2]).toBeInstanceOf(Error);
+    expect(results.slice(3)).toEqual([40, 50]);
+});
+
+test('writes results without card data beyond the last four digits', () => {
+    const csv = batchResultsToCsv([
+        { line: 2, merchantId: 1, amount: '10.50', currency: 'USD', panLast4: '1111', card: { pan: '4111111111111111' }, status: 'succeeded', transactionId: 'tx-1', idempotencyKey: 'key-1' },
+        { line: 3, merchantId: 3, amount: '1', currency: 'USD', panLast4: '1112', status: 'invalid', errors: { merchantId: 'Unknown or inactive merchant', pan: 'Invalid card number' } }
+    ]);
+    expect(csv).toBe([
+        'Line,Merchant ID,Amount,Currency,Card,Status,Transaction ID,Idempotency Key,Error',
+        '2,1,10.50,USD,****1111,succeeded,tx-1,key-1,',
+        '3,3,1,USD,****1112,invalid,,,Unknown or inactive merchant; Invalid card number',
+        ''
+    ].join('\r\n'));
+    expect(csv).not.toContain('4111111111111111');
+});
@@ -0,0 +1,41 @@
+// Canonical JSON (RFC 8785, JCS) for everything that is signed, so the backend can
+// re-serialize a payload and get byte-identical input for the HMAC or RSA signature.
+// Object keys are sorted by UTF-16 code units, there is no whitespace, numbers use the
+// ECMAScript shortest round-trip form and strings use JSON.stringify escaping.
+
+const serialize = (value, path) => {
+    if (value === null) return 'null';
+
+    switch (typeof value) {
+        case 'boolean':
+            return value ? 'true' : 'false';
+        case 'number':
+            if (!Number.isFinite(value)) {
+                throw new Error(`Cannot canonicalize ${value} at ${path}`);
+            }
+            // Number-to-string in ECMAScript is exactly the JCS number format (and turns -0 into 0)
+            return String(value);
+        case 'string':
+            if (/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(^|[^\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(value)) {
+                throw new Error(`Cannot canonicalize a lone surrogate at ${path}`);
+            }
+            return JSON.stringify(value);
+        case 'object':
+            if (Array.isArray(value)) {
+                return `[${value.map((item, index) => serialize(item, `${path}[${index}]`)).join(',')}]`;
+            }
+            if (typeof value.toJSON === 'function') {
+                return serialize(value.toJSON(), path);
+            }
+            // Properties that JSON.stringify would drop are dropped here as well
+            return `{${Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${serialize(value[key], `${path}.${key}`)}`)
+                .join(',')}}`;
+        default:
+            throw new Error(`Cannot canonicalize a ${typeof value} at ${path}`);
+    }
+};
+
+export const canonicalize = (value) => serialize(value, '$');
@@ -0,0 +1,30 @@
+import CryptoJS from 'crypto-js';
+import { canonicalize } from './canonicalJson';
+import vectors from './canonicalJson.vectors.json';
+
+test.each(vectors.canonicalization.map(vector => [vector.name, vector]))('canonicalizes %s', (name, vector) => {
+    expect(canonicalize(JSON.parse(vector.input))).toBe(vector.canonical);
+});
+
+test.each(vectors.transactionHmac.map(vector => [vector.name, vector]))('signs the %s', (name, vector) => {
+    const base = canonicalize(JSON.parse(vector.transaction)) + vector.timestamp + vector.nonce + vector.idempotencyKey;
+    expect(base).toBe(vector.signatureBase);
+
+    const hmac = CryptoJS.HmacSHA256(CryptoJS.enc.Utf8.parse(base), CryptoJS.enc.Base64.parse(vector.hmacKeyBase64));
+    expect(CryptoJS.enc.Base64.stringify(hmac)).toBe(vector.signature);
+});
+
+test('does not depend on property insertion order', () => {
+    expect(canonicalize({ b: 1, a: { d: 2, c: 3 } })).toBe(canonicalize({ a: { c: 3, d: 2 }, b: 1 }));
+});
+
+test('drops undefined properties like JSON.stringify', () => {
+    expect(canonicalize({ a: 1, b: undefined })).toBe('{"a":1}');
+});
+
+test('rejects values JSON cannot represent', () => {
+    expect(() => canonicalize({ amount: NaN })).toThrow('NaN at $.amount');
+    expect(() => canonicalize([Infinity])).toThrow('Infinity at $[0]');
+    expect(() => canonicalize([undefined])).toThrow('undefined at $[0]');
+    expect(() => canonicalize({ text: '\uD800' })).toThrow('lone surrogate at $.text');
+});
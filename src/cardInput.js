@@ -0,0 +1,163 @@
+// Card number, expiry and CVV handling for the transaction form: brand detection,
+// Luhn validation, grouping while typing and expiry checks. Nothing here leaves the
+// browser in clear; the form encrypts the result into the pan envelope.
+
+// Groups are the digit blocks shown while typing; the last group absorbs longer numbers
+export const CARD_BRANDS = [
+    {
+        id: 'amex',
+        name: 'American Express',
+        matches: (digits) => /^3[47]/.test(digits),
+        lengths: [15],
+        cvvLength: 4,
+        groups: [4, 6, 5]
+    },
+    {
+        id: 'visa',
+        name: 'Visa',
+        matches: (digits) => /^4/.test(digits),
+        lengths: [13, 16, 19],
+        cvvLength: 3,
+        groups: [4, 4, 4, 4, 3]
+    },
+    {
+        id: 'mastercard',
+        name: 'Mastercard',
+        matches: (digits) => {
+            if (/^5[1-5]/.test(digits)) return true;
+            const prefix = parseInt(digits.slice(0, 4), 10);
+            return digits.length >= 4 && prefix >= 2221 && prefix <= 2720;
+        },
+        lengths: [16],
+        cvvLength: 3,
+        groups: [4, 4, 4, 4]
+    },
+    {
+        id: 'discover',
+        name: 'Discover',
+        matches: (digits) => /^(6011|64[4-9]|65|622)/.test(digits),
+        lengths: [16, 17, 18, 19],
+        cvvLength: 3,
+        groups: [4, 4, 4, 4, 3]
+    }
+];
+
+export const MAX_CARD_LENGTH = 19;
+const DEFAULT_GROUPS = [4, 4, 4, 4, 3];
+const MAX_EXPIRY_YEARS_AHEAD = 20;
+
+export const digitsOnly = (value) => String(value || '').replace(/\D/g, '');
+
+export const detectBrand = (cardNumber) => {
+    const digits = digitsOnly(cardNumber);
+    return CARD_BRANDS.find(brand => brand.matches(digits)) || null;
+};
+
+export const luhnCheck = (cardNumber) => {
+    const digits = digitsOnly(cardNumber);
+    if (!digits) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+export const maxLengthFor = (brand) => (brand ? Math.max(...brand.lengths) : MAX_CARD_LENGTH);
+
+// Group digits the way the brand prints them, dropping anything past its longest length
+export const formatCardNumber = (value) => {
+    const brand = detectBrand(value);
+    const digits = digitsOnly(value).slice(0, maxLengthFor(brand));
+    const groups = [];
+    let position = 0;
+    (brand ? brand.groups : DEFAULT_GROUPS).forEach(size => {
+        if (position < digits.length) {
+            groups.push(digits.slice(position, position + size));
+            position += size;
+        }
+    });
+    return groups.join(' ');
+};
+
+// Turns "1225" into "12/25" and a lone "4" into "04"; the slash appears with the third digit
+export const formatExpiry = (value) => {
+    let digits = digitsOnly(value).slice(0, 4);
+    if (digits.length === 1 && digits > '1') {
+        digits = `0${digits}`;
+    }
+    if (digits.length <= 2) return digits;
+    return `${digits.slice(0, 2)}/${digits.slice(2)}`;
+};
+
+export const parseExpiry = (value) => {
+    const match = /^(\d{2})\s*\/\s*(\d{2}|\d{4})$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const month = parseInt(match[1], 10);
+    const year = match[2].length === 2 ? 2000 + parseInt(match[2], 10) : parseInt(match[2], 10);
+    return { month, year };
+};
+
+// Each validator returns an error message, or null when the value is fine
+export const validateCardNumber = (cardNumber) => {
+    const digits = digitsOnly(cardNumber);
+    if (!digits) return 'Card number is required';
+    const brand = detectBrand(digits);
+    if (!brand) return 'Unsupported card brand';
+    if (!brand.lengths.includes(digits.length)) {
+        return `${brand.name} card numbers have ${brand.lengths.join(' or ')} digits`;
+    }
+    if (!luhnCheck(digits)) return 'Card number is not valid';
+    return null;
+};
+
+// A card is valid through the last day of its expiry month
+export const validateExpiry = (value, now = new Date()) => {
+    const expiry = parseExpiry(value);
+    if (!expiry) return 'Expiry must be MM/YY';
+    if (expiry.month < 1 || expiry.month > 12) return 'Expiry month must be between 01 and 12';
+    const currentMonth = now.getFullYear() * 12 + now.getMonth();
+    const expiryMonth = expiry.year * 12 + (expiry.month - 1);
+    if (expiryMonth < currentMonth) return 'Card has expired';
+    if (expiry.year > now.getFullYear() + MAX_EXPIRY_YEARS_AHEAD) return 'Expiry year is too far in the future';
+    return null;
+};
+
+export const validateCvv = (cvv, brand) => {
+    const digits = digitsOnly(cvv);
+    const expected = brand ? brand.cvvLength : 3;
+    if (digits.length !== String(cvv || '').length || digits.length !== expected) {
+        return `Security code must be ${expected} digits`;
+    }
+    return null;
+};
+
+// Field errors keyed like the form ({ pan, expiry, cvv }); empty when the card is usable
+export const validateCard = ({ pan, expiry, cvv }, now = new Date()) => {
+    const errors = {};
+    const panError = validateCardNumber(pan);
+    const expiryError = validateExpiry(expiry, now);
+    const cvvError = validateCvv(cvv, detectBrand(pan));
+    if (panError) errors.pan = panError;
+    if (expiryError) errors.expiry = expiryError;
+    if (cvvError) errors.cvv = cvvError;
+    return errors;
+};
+
+// The plaintext that goes into the encrypted pan envelope
+export const toCardPayload = ({ pan, expiry, cvv }) => {
+    const { month, year } = parseExpiry(expiry);
+    const brand = detectBrand(pan);
+    return JSON.stringify({
+        pan: digitsOnly(pan),
+        expiryMonth: month,
+        expiryYear: year,
+        cvv: digitsOnly(cvv),
+        brand: brand ? brand.id : null
+    });
+};
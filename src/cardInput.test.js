@@ -0,0 +1,88 @@
+import {
+    detectBrand,
+    luhnCheck,
+    formatCardNumber,
+    formatExpiry,
+    validateCardNumber,
+    validateExpiry,
+    validateCvv,
+    validateCard,
+    toCardPayload
+} from './cardInput';
+
+const NOW = new Date(2026, 5, 15);
+
+test.each([
+    ['4111111111111111', 'visa'],
+    ['5555555555554444', 'mastercard'],
+    ['2223003122003222', 'mastercard'],
+    ['378282246310005', 'amex'],
+    ['6011111111111117', 'discover'],
+    ['6445644564456445', 'discover'],
+    ['9999999999999999', null]
+])('detects the brand of %s', (number, brandId) => {
+    const brand = detectBrand(number);
+    expect(brand ? brand.id : null).toBe(brandId);
+});
+
+test('runs the Luhn checksum', () => {
+    expect(luhnCheck('4111 1111 1111 1111')).toBe(true);
+    expect(luhnCheck('4111111111111112')).toBe(false);
+    expect(luhnCheck('')).toBe(false);
+});
+
+test('groups digits per brand while typing', () => {
+    expect(formatCardNumber('41111')).toBe('4111 1');
+    expect(formatCardNumber('4111111111111111')).toBe('4111 1111 1111 1111');
+    expect(formatCardNumber('378282246310005')).toBe('3782 822463 10005');
+    expect(formatCardNumber('3782822463100059999')).toBe('3782 822463 10005');
+    expect(formatCardNumber('4111111111111111111')).toBe('4111 1111 1111 1111 111');
+});
+
+test('formats expiry while typing', () => {
+    expect(formatExpiry('4')).toBe('04');
+    expect(formatExpiry('1')).toBe('1');
+    expect(formatExpiry('12')).toBe('12');
+    expect(formatExpiry('1228')).toBe('12/28');
+});
+
+test('validates card numbers against brand lengths and Luhn', () => {
+    expect(validateCardNumber('4111111111111111')).toBeNull();
+    expect(validateCardNumber('378282246310005')).toBeNull();
+    expect(validateCardNumber('37828224631000')).toMatch('15 digits');
+    expect(validateCardNumber('4111111111111112')).toBe('Card number is not valid');
+    expect(validateCardNumber('9999999999999995')).toBe('Unsupported card brand');
+});
+
+test('accepts a card through the end of its expiry month', () => {
+    expect(validateExpiry('06/26', NOW)).toBeNull();
+    expect(validateExpiry('05/26', NOW)).toBe('Card has expired');
+    expect(validateExpiry('13/27', NOW)).toMatch('between 01 and 12');
+    expect(validateExpiry('1/27', NOW)).toBe('Expiry must be MM/YY');
+    expect(validateExpiry('01/2060', NOW)).toMatch('too far');
+});
+
+test('requires four CVV digits for Amex and three otherwise', () => {
+    expect(validateCvv('1234', detectBrand('378282246310005'))).toBeNull();
+    expect(validateCvv('123', detectBrand('378282246310005'))).toMatch('4 digits');
+    expect(validateCvv('123', detectBrand('4111111111111111'))).toBeNull();
+    expect(validateCvv('12a', detectBrand('4111111111111111'))).toMatch('3 digits');
+});
+
+test('collects field errors and builds the encrypted payload', () => {
+    expect(validateCard({ pan: '4111', expiry: '', cvv: '' }, NOW)).toEqual({
+        pan: expect.any(String),
+        expiry: expect.any(String),
+        cvv: expect.any(String)
+    });
+
+    const card = { pan: '4111 1111 1111 1111', expiry: '12/28', cvv: '123' };
+    expect(validateCard(card, NOW)).toEqual({});
+    expect(JSON.parse(toCardPayload(card))).toEqual({
+        pan: '4111111111111111',
+        expiryMonth: 12,
+        expiryYear: 2028,
+        cvv: '123',
+        brand: 'visa'
+    });
+});
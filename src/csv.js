@@ -0,0 +1,72 @@
+// RFC 4180 CSV: fields with commas, quotes or line breaks are quoted, quotes are doubled.
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Spreadsheet apps run cells starting with = + - @ as formulas; text cells get a leading quote
+const escapeField = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` is a list of { key, header }; rows are plain objects
+export const toCsv = (columns, rows) => [
+    columns.map(column => escapeField(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeField(row[column.key])).join(','))
+].join('\r\n') + '\r\n';
+
+// Parse RFC 4180 text into rows of string fields. Accepts CRLF or LF line endings and a
+// leading byte order mark, and skips blank lines. Throws on an unterminated quoted field.
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let fieldStarted = false;
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '' || fieldStarted) {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+        fieldStarted = false;
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+            fieldStarted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('CSV ends inside a quoted field');
+    }
+    if (field !== '' || row.length || fieldStarted) {
+        endRow();
+    }
+    return rows;
+};
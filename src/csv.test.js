@@ -0,0 +1,26 @@
+import { toCsv, parseCsv } from './csv';
+
+const columns = [{ key: 'name', header: 'Name' }, { key: 'amount', header: 'Amount' }];
+
+test('writes a header and one line per row', () => {
+    expect(toCsv(columns, [{ name: 'Acme', amount: 1050 }])).toBe('Name,Amount\r\nAcme,1050\r\n');
+});
+
+test('quotes fields with separators, quotes and line breaks', () => {
+    expect(toCsv(columns, [{ name: 'Acme, "Ltd"\nEU', amount: null }])).toBe('Name,Amount\r\n"Acme, ""Ltd""\nEU",\r\n');
+});
+
+test('neutralizes text that a spreadsheet would run as a formula', () => {
+    expect(toCsv(columns, [{ name: '=HYPERLINK("x")', amount: -5 }])).toBe('Name,Amount\r\n"\'=HYPERLINK(""x"")",-5\r\n');
+});
+
+test('parses quoted fields, doubled quotes and mixed line endings', () => {
+    const text = '\uFEFFName,Amount\r\n"Acme, ""Ltd""\nEU",10.50\n\nBeta,\r\n';
+    expect(parseCsv(text)).toEqual([['Name', 'Amount'], ['Acme, "Ltd"\nEU', '10.50'], ['Beta', '']]);
+});
+
+test('reads back what toCsv writes and rejects an unterminated quote', () => {
+    const rows = [{ name: 'Acme, "Ltd"', amount: 1050 }];
+    expect(parseCsv(toCsv(columns, rows))).toEqual([['Name', 'Amount'], ['Acme, "Ltd"', '1050']]);
+    expect(() => parseCsv('a,"b\n')).toThrow('inside a quoted field');
+});
@@ -0,0 +1,71 @@
+// Normalizes /api/health into an overall verdict plus per-dependency checks, and decides
+// how long to wait before polling again.
+
+const HEALTHY_STATES = ['OK', 'UP', 'HEALTHY', 'CONNECTED', 'PASS'];
+
+export const HEALTH_POLL_INTERVAL_MS = 15000;
+export const HEALTH_MAX_BACKOFF_MS = 5 * 60 * 1000;
+export const HEALTH_HISTORY_SIZE = 30;
+
+const isHealthyState = (state) => HEALTHY_STATES.includes(String(state || '').toUpperCase());
+
+const labelFor = (name) => ({ db: 'Database', hsm: 'HSM', keyService: 'Key service' }[name] || name);
+
+const toCheck = (name, value) => {
+    const entry = value && typeof value === 'object' ? value : { status: value };
+    const details = entry.details || {};
+    const latency = entry.latencyMs !== undefined ? entry.latencyMs : details.latencyMs;
+    return {
+        name: entry.name || labelFor(name),
+        status: String(entry.status || 'UNKNOWN'),
+        healthy: isHealthyState(entry.status),
+        latencyMs: Number.isFinite(latency) ? latency : null,
+        detail: entry.error || entry.message || details.error || null
+    };
+};
+
+// Accepts { status, db } (the original backend), { status, checks: [...] }, { status, dependencies: {...} }
+// and Spring Boot actuator's { status, components: {...} }
+export const normalizeHealth = (raw = {}) => {
+    let checks = [];
+    const listed = raw.checks || raw.dependencies || raw.components;
+    if (Array.isArray(listed)) {
+        checks = listed.map((entry, index) => toCheck(entry.name || `check ${index + 1}`, entry));
+    } else if (listed && typeof listed === 'object') {
+        checks = Object.entries(listed).map(([name, value]) => toCheck(name, value));
+    } else if (raw.db !== undefined) {
+        checks = [{ ...toCheck('db', raw.db), healthy: raw.db === 'Connected' }];
+    }
+
+    const status = String(raw.status || 'UNKNOWN');
+    return {
+        status,
+        healthy: isHealthyState(status) && checks.every(check => check.healthy),
+        checks,
+        error: raw.error || null
+    };
+};
+
+export const unreachableHealth = (message) => ({ status: 'UNREACHABLE', healthy: false, checks: [], error: message });
+
+// A backend that reports itself down usually answers 503 with the usual health body, which
+// apiClient keeps as error.details. Spring error bodies have a numeric status and do not
+// count; failures without a health body are reported as unreachable.
+export const healthFromError = (error) => {
+    const body = error && error.details;
+    if (body && typeof body === 'object' && (typeof body.status === 'string' || body.checks || body.dependencies || body.components || body.db !== undefined)) {
+        return { ...normalizeHealth(body), healthy: false };
+    }
+    return unreachableHealth(error ? error.message : 'Health check failed');
+};
+
+// Poll at the normal interval while healthy; double the wait for every consecutive failure
+export const nextPollDelay = (consecutiveFailures, intervalMs = HEALTH_POLL_INTERVAL_MS, maxMs = HEALTH_MAX_BACKOFF_MS) => (
+    Math.min(intervalMs * (2 ** consecutiveFailures), maxMs)
+);
+
+export const appendHistory = (history, sample, size = HEALTH_HISTORY_SIZE) => [...history, sample].slice(-size);
+
+export const uptimeRatio = (history) => (
+    history.length ? history.filter(sample => sample.healthy).length / history.length : null
+);
@@ -0,0 +1,68 @@
+import { NetworkError, ServerError } from './apiClient';
+import { normalizeHealth, healthFromError, nextPollDelay, appendHistory, uptimeRatio } from './healthStatus';
+
+test('understands the original status/db response', () => {
+    expect(normalizeHealth({ status: 'OK', db: 'Connected' })).toMatchObject({
+        healthy: true,
+        checks: [{ name: 'Database', status: 'Connected', healthy: true }]
+    });
+    expect(normalizeHealth({ status: 'OK', db: 'Disconnected' }).healthy).toBe(false);
+});
+
+test('reads any number of dependency checks with latency', () => {
+    const health = normalizeHealth({
+        status: 'UP',
+        components: {
+            db: { status: 'UP', details: { latencyMs: 4 } },
+            hsm: { status: 'DOWN', details: { error: 'timeout' } },
+            keyService: 'UP'
+        }
+    });
+    expect(health.healthy).toBe(false);
+    expect(health.checks).toEqual([
+        { name: 'Database', status: 'UP', healthy: true, latencyMs: 4, detail: null },
+        { name: 'HSM', status: 'DOWN', healthy: false, latencyMs: null, detail: 'timeout' },
+        { name: 'Key service', status: 'UP', healthy: true, latencyMs: null, detail: null }
+    ]);
+
+    const listed = normalizeHealth({ status: 'OK', checks: [{ name: 'Ledger', status: 'PASS', latencyMs: 12 }] });
+    expect(listed).toMatchObject({ healthy: true, checks: [{ name: 'Ledger', latencyMs: 12 }] });
+});
+
+test('keeps the dependency breakdown of a DOWN answer that arrives as an HTTP error', () => {
+    const error = new ServerError('Service Unavailable', {
+        status: 503,
+        details: { status: 'DOWN', components: { db: { status: 'DOWN', details: { error: 'connection refused' } }, hsm: 'UP' } }
+    });
+    expect(healthFromError(error)).toEqual({
+        status: 'DOWN',
+        healthy: false,
+        checks: [
+            { name: 'Database', status: 'DOWN', healthy: false, latencyMs: null, detail: 'connection refused' },
+            { name: 'HSM', status: 'UP', healthy: true, latencyMs: null, detail: null }
+        ],
+        error: null
+    });
+
+    expect(healthFromError(new NetworkError('Failed to fetch'))).toEqual({ status: 'UNREACHABLE', healthy: false, checks: [], error: 'Failed to fetch' });
+    // A 502 from a proxy carries an error body, not a health report
+    expect(healthFromError(new ServerError('Bad Gateway', { status: 502, details: { message: 'Bad Gateway' } })).status).toBe('UNREACHABLE');
+    expect(healthFromError(new ServerError('Internal Server Error', { status: 500, details: { status: 500, error: 'Internal Server Error' } })).status).toBe('UNREACHABLE');
+});
+
+test('backs off while the backend stays down', () => {
+    expect(nextPollDelay(0, 1000, 10000)).toBe(1000);
+    expect(nextPollDelay(1, 1000, 10000)).toBe(2000);
+    expect(nextPollDelay(3, 1000, 10000)).toBe(8000);
+    expect(nextPollDelay(4, 1000, 10000)).toBe(10000);
+});
+
+test('keeps a bounded uptime history', () => {
+    let history = [];
+    [true, true, false, true].forEach(healthy => {
+        history = appendHistory(history, { healthy }, 3);
+    });
+    expect(history).toHaveLength(3);
+    expect(uptimeRatio(history)).toBeCloseTo(2 / 3);
+    expect(uptimeRatio([])).toBeNull();
+});
@@ -0,0 +1,64 @@
+// Checks on the key-exchange response: the server's signature over the decrypted plaintext,
+// and the echoed fields that tie the response to the request it answers.
+
+import { DEFAULT_NONCE_MAX_AGE_MS } from './nonceLedger';
+
+export const SIGNATURE_SCHEMES = {
+    'RSA-PSS-SHA256': { name: 'RSA-PSS', hash: 'SHA-256', saltLength: 32 }
+};
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+// The scheme a cipher suite names; throws for one the client does not support
+export const getSignatureScheme = (schemeName) => {
+    const scheme = SIGNATURE_SCHEMES[schemeName];
+    if (!scheme) {
+        throw new Error(`Unsupported signature scheme: ${schemeName}`);
+    }
+    return scheme;
+};
+
+// Resolves to false for a signature that does not match; rejects for an unknown scheme
+export const verifySignature = async (publicKey, message, signatureBase64, schemeName, subtle = crypto.subtle) => {
+    const scheme = getSignatureScheme(schemeName);
+    return subtle.verify(
+        { name: scheme.name, saltLength: scheme.saltLength },
+        publicKey,
+        base64ToBytes(signatureBase64),
+        new TextEncoder().encode(message)
+    );
+};
+
+// Throws unless the signed response answers `request`: the same merchant, a timestamp inside
+// the nonce window, the nonce and timestamp we sent and the cipher suite the server named in
+// clear. The nonce is then consumed from the ledger, so a replayed response fails.
+export const checkKeyExchangeResponse = (response, {
+    request,
+    cipherSuite,
+    defaultCipherSuite,
+    nonceLedger,
+    maxAgeMs = DEFAULT_NONCE_MAX_AGE_MS,
+    now = Date.now()
+}) => {
+    if (response.merchantId !== request.merchantId) {
+        throw new Error('Key exchange rejected: merchant ID does not match the request');
+    }
+    if (typeof response.timestamp !== 'number' || now - response.timestamp > maxAgeMs) {
+        throw new Error('Key exchange rejected: response timestamp is missing or too old');
+    }
+
+    // Everything is matched against this request first, so a response carrying another
+    // exchange's nonce is rejected without using up that nonce in the ledger
+    if (response.nonce !== request.nonce) {
+        throw new Error('Key exchange rejected: nonce does not match the request');
+    }
+    if (response.timestamp !== request.timestamp) {
+        throw new Error('Key exchange rejected: timestamp does not match the request');
+    }
+    if ((response.cipherSuite || defaultCipherSuite) !== cipherSuite) {
+        throw new Error('Key exchange rejected: cipher suite does not match the signed response');
+    }
+
+    nonceLedger.consume(response.nonce, response.timestamp);
+    return response;
+};
@@ -0,0 +1,93 @@
+/**
+ * @jest-environment node
+ */
+
+import { webcrypto } from 'crypto';
+import { createNonceLedger } from './nonceLedger';
+import { verifySignature, checkKeyExchangeResponse } from './keyExchange';
+
+const { subtle } = webcrypto;
+const NOW = 1767225600000;
+
+const toBase64 = (buffer) => Buffer.from(buffer).toString('base64');
+
+const setup = () => {
+    const nonceLedger = createNonceLedger({ now: () => NOW });
+    const request = { merchantId: 7, nonce: 'bm9uY2U=', timestamp: NOW - 1000 };
+    nonceLedger.issue(request.nonce, request.timestamp);
+    const options = { request, cipherSuite: 'SUITE-A', defaultCipherSuite: 'LEGACY', nonceLedger, now: NOW };
+    return { request, options };
+};
+
+test('accepts a PSS signature over the exact plaintext and nothing else', async () => {
+    const { publicKey, privateKey } = await subtle.generateKey(
+        { name: 'RSA-PSS', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+    const message = '{"merchantId":7}';
+    const signature = toBase64(await subtle.sign({ name: 'RSA-PSS', saltLength: 32 }, privateKey, new TextEncoder().encode(message)));
+
+    await expect(verifySignature(publicKey, message, signature, 'RSA-PSS-SHA256', subtle)).resolves.toBe(true);
+    await expect(verifySignature(publicKey, '{"merchantId":8}', signature, 'RSA-PSS-SHA256', subtle)).resolves.toBe(false);
+
+    const tampered = Buffer.from(signature, 'base64');
+    tampered[0] ^= 1;
+    await expect(verifySignature(publicKey, message, toBase64(tampered), 'RSA-PSS-SHA256', subtle)).resolves.toBe(false);
+    await expect(verifySignature(publicKey, message, signature, 'RSA-PKCS1-SHA1', subtle)).rejects.toThrow('Unsupported signature scheme');
+});
+
+test('accepts a response that echoes the request', () => {
+    const { request, options } = setup();
+    const response = { ...request, cipherSuite: 'SUITE-A', expiresAt: NOW + 60000 };
+
+    expect(checkKeyExchangeResponse(response, options)).toBe(response);
+});
+
+test('rejects a response for another merchant', () => {
+    const { request, options } = setup();
+
+    expect(() => checkKeyExchangeResponse({ ...request, merchantId: 8, cipherSuite: 'SUITE-A' }, options))
+        .toThrow('merchant ID does not match the request');
+});
+
+test('rejects a replayed response and a nonce it never issued', () => {
+    const { request, options } = setup();
+    const response = { ...request, cipherSuite: 'SUITE-A' };
+
+    checkKeyExchangeResponse(response, options);
+    expect(() => checkKeyExchangeResponse(response, options)).toThrow('nonce has already been used');
+
+    const unknown = { ...request, nonce: 'b3RoZXI=' };
+    expect(() => checkKeyExchangeResponse({ ...unknown, cipherSuite: 'SUITE-A' }, { ...options, request: unknown }))
+        .toThrow('unknown or expired nonce');
+});
+
+test('a response echoing another exchange\'s nonce does not use that nonce up', () => {
+    const { request: first, options } = setup();
+    const second = { merchantId: 7, nonce: 'c2Vjb25k', timestamp: NOW - 500 };
+    options.nonceLedger.issue(second.nonce, second.timestamp);
+    const secondOptions = { ...options, request: second };
+
+    // The answer to the second exchange arrives at the first one
+    expect(() => checkKeyExchangeResponse({ ...second, cipherSuite: 'SUITE-A' }, options))
+        .toThrow('nonce does not match the request');
+
+    expect(checkKeyExchangeResponse({ ...second, cipherSuite: 'SUITE-A' }, secondOptions)).toMatchObject({ nonce: second.nonce });
+    expect(checkKeyExchangeResponse({ ...first, cipherSuite: 'SUITE-A' }, options)).toMatchObject({ nonce: first.nonce });
+});
+
+test('rejects a stale or altered timestamp', () => {
+    const { request, options } = setup();
+
+    expect(() => checkKeyExchangeResponse({ ...request, timestamp: NOW - 10 * 60 * 1000, cipherSuite: 'SUITE-A' }, options))
+        .toThrow('timestamp is missing or too old');
+    expect(() => checkKeyExchangeResponse({ ...request, timestamp: request.timestamp + 1, cipherSuite: 'SUITE-A' }, options))
+        .toThrow('timestamp does not match the request');
+});
+
+test('rejects a cipher suite other than the one named in clear', () => {
+    const { request, options } = setup();
+
+    expect(() => checkKeyExchangeResponse(request, options)).toThrow('cipher suite does not match');
+});
@@ -0,0 +1,149 @@
+/**
+ * @jest-environment node
+ */
+
+import 'fake-indexeddb/auto';
+import fs from 'fs';
+import path from 'path';
+import { webcrypto } from 'crypto';
+import { MessageChannel, receiveMessageOnPort } from 'worker_threads';
+import forge from 'node-forge';
+import {
+    parsePrivateKeyFile,
+    generateClientKey,
+    getKeyProviders,
+    resolveClientKeys,
+    fileKeyProvider,
+    indexedDbKeyProvider,
+    staticKeyProvider,
+    CLIENT_KEY_ALGORITHMS
+} from './keyProviders';
+
+const pkcs8Pem = fs.readFileSync(path.join(__dirname, '../dev/keys/client_rsa_private.pem'), 'utf8');
+const privateKey = forge.pki.privateKeyFromPem(pkcs8Pem);
+
+beforeAll(() => {
+    global.crypto = webcrypto;
+    // Jest 27 does not expose structuredClone, which fake-indexeddb stores records with.
+    // Node's message ports use the same algorithm, CryptoKeys included.
+    global.structuredClone = (value) => {
+        const { port1, port2 } = new MessageChannel();
+        port1.postMessage(value);
+        const { message } = receiveMessageOnPort(port2);
+        port1.close();
+        return message;
+    };
+});
+
+const samePrivateKey = (key) => key.n.equals(privateKey.n) && key.d.equals(privateKey.d);
+
+test('parses PKCS#8 and PKCS#1 keys as PEM or DER', () => {
+    const pkcs1Pem = forge.pki.privateKeyToPem(privateKey);
+    const pkcs1Der = forge.asn1.toDer(forge.pki.privateKeyToAsn1(privateKey)).getBytes();
+    const pkcs8Der = forge.asn1.toDer(forge.pki.wrapRsaPrivateKey(forge.pki.privateKeyToAsn1(privateKey))).getBytes();
+
+    expect(samePrivateKey(parsePrivateKeyFile(pkcs8Pem, 'client.pem'))).toBe(true);
+    expect(samePrivateKey(parsePrivateKeyFile(pkcs1Pem, 'client.key'))).toBe(true);
+    expect(samePrivateKey(parsePrivateKeyFile(pkcs8Der, 'client.der'))).toBe(true);
+    expect(samePrivateKey(parsePrivateKeyFile(pkcs1Der, 'client.der'))).toBe(true);
+    expect(() => parsePrivateKeyFile('garbage', 'client.der')).toThrow('not an unencrypted PKCS#1 or PKCS#8');
+    expect(() => parsePrivateKeyFile('garbage', 'client.bin')).toThrow('Unsupported key file');
+});
+
+test('decrypts an encrypted PEM only with the right passphrase', () => {
+    const encryptedPem = forge.pki.encryptRsaPrivateKey(privateKey, 'correct horse', { algorithm: 'aes256' });
+    expect(encryptedPem).toContain('BEGIN ENCRYPTED PRIVATE KEY');
+
+    expect(samePrivateKey(parsePrivateKeyFile(encryptedPem, 'client.pem', 'correct horse'))).toBe(true);
+    expect(() => parsePrivateKeyFile(encryptedPem, 'client.pem', 'wrong')).toThrow('wrong passphrase');
+});
+
+test('reads the key from a PKCS#12 file and rejects a wrong passphrase', () => {
+    const p12Der = forge.asn1.toDer(forge.pkcs12.toPkcs12Asn1(privateKey, null, 'p12 secret', { algorithm: '3des' })).getBytes();
+
+    expect(samePrivateKey(parsePrivateKeyFile(p12Der, 'client.p12', 'p12 secret'))).toBe(true);
+    expect(() => parsePrivateKeyFile(p12Der, 'client.pfx', 'wrong')).toThrow('Could not open PKCS#12 file: wrong passphrase?');
+});
+
+test('offers the static key in development builds only, after the user-managed providers', () => {
+    expect(getKeyProviders({ NODE_ENV: 'development' })).toEqual([fileKeyProvider, indexedDbKeyProvider, staticKeyProvider]);
+    expect(getKeyProviders({ NODE_ENV: 'production' })).toEqual([fileKeyProvider, indexedDbKeyProvider]);
+    expect(getKeyProviders({ NODE_ENV: 'production', REACT_APP_KEY_PROVIDER: 'static' })).not.toContain(staticKeyProvider);
+    expect(getKeyProviders({ NODE_ENV: 'test' })).not.toContain(staticKeyProvider);
+});
+
+test('takes the key from the first provider that has one for the merchant', async () => {
+    const provider = (name, keys) => ({ name, getClientKeys: jest.fn(async () => keys) });
+    const empty = provider('empty', null);
+    const first = provider('first', { sign: 'first' });
+    const second = provider('second', { sign: 'second' });
+
+    const resolved = await resolveClientKeys([empty, first, second], 7);
+    expect(resolved).toEqual({ provider: first, keys: { sign: 'first' } });
+    expect(empty.getClientKeys).toHaveBeenCalledWith(7);
+    expect(second.getClientKeys).not.toHaveBeenCalled();
+
+    await expect(resolveClientKeys([empty], 7)).resolves.toBeNull();
+});
+
+test('the file provider only serves shared keys or keys of the same merchant', async () => {
+    await fileKeyProvider.saveKey({ id: 'k1', merchantId: 2, keys: { sign: 'merchant 2' } });
+    try {
+        await expect(fileKeyProvider.getClientKeys(2)).resolves.toEqual({ sign: 'merchant 2' });
+        await expect(fileKeyProvider.getClientKeys(3)).resolves.toBeNull();
+
+        await fileKeyProvider.saveKey({ id: 'k2', merchantId: null, keys: { sign: 'shared' } });
+        await expect(fileKeyProvider.getClientKeys(3)).resolves.toEqual({ sign: 'shared' });
+    } finally {
+        fileKeyProvider.record = null;
+    }
+});
+
+test('generates a merchant key that exists only as non-extractable keys', async () => {
+    const { record, spki, backupPem } = await generateClientKey({ merchantId: 4, label: 'Shop identity key' });
+
+    expect(backupPem).toBeNull();
+    expect(Object.keys(record.keys)).toEqual(Object.keys(CLIENT_KEY_ALGORITHMS));
+    for (const key of Object.values(record.keys)) {
+        expect(key.extractable).toBe(false);
+        await expect(webcrypto.subtle.exportKey('pkcs8', key)).rejects.toThrow();
+    }
+
+    // The stored key signs for the registered public key, whose fingerprint is on the record
+    const publicKey = await webcrypto.subtle.importKey('spki', spki, { name: 'RSA-PSS', hash: 'SHA-256' }, false, ['verify']);
+    const message = new TextEncoder().encode('key exchange');
+    const signature = await webcrypto.subtle.sign({ name: 'RSA-PSS', saltLength: 32 }, record.keys['sign:SHA-256'], message);
+    await expect(webcrypto.subtle.verify({ name: 'RSA-PSS', saltLength: 32 }, publicKey, signature, message)).resolves.toBe(true);
+    const digest = Buffer.from(await webcrypto.subtle.digest('SHA-256', spki)).toString('hex').toUpperCase();
+    expect(record.fingerprint.replace(/:/g, '')).toBe(digest);
+});
+
+test('exports an encrypted backup only when asked to', async () => {
+    const { spki, backupPem } = await generateClientKey({ merchantId: 4, label: 'Backed up', exportBackup: true, backupPassphrase: 'long enough' });
+
+    const restored = parsePrivateKeyFile(backupPem, 'backup.pem', 'long enough');
+    const publicKey = forge.pki.publicKeyFromAsn1(forge.asn1.fromDer(Buffer.from(spki).toString('binary')));
+    expect(restored.n.equals(publicKey.n)).toBe(true);
+});
+
+test('persists keys in IndexedDB and prefers a merchant\'s own key over a shared one', async () => {
+    const { record: shared } = await generateClientKey({ merchantId: null, label: 'Shared' });
+    const { record: own, spki: ownSpki } = await generateClientKey({ merchantId: 4, label: 'Own' });
+    await indexedDbKeyProvider.saveKey({ ...shared, createdAt: 2 });
+    await indexedDbKeyProvider.saveKey({ ...own, createdAt: 1 });
+
+    expect((await indexedDbKeyProvider.listKeys()).map(key => key.label).sort()).toEqual(['Own', 'Shared']);
+    // The older merchant key wins over the newer shared one: it signs for the merchant's public key
+    const ownKeys = await indexedDbKeyProvider.getClientKeys(4);
+    expect(ownKeys['sign:SHA-256'].extractable).toBe(false);
+    const publicKey = await webcrypto.subtle.importKey('spki', ownSpki, { name: 'RSA-PSS', hash: 'SHA-256' }, false, ['verify']);
+    const message = new TextEncoder().encode('stored');
+    const signature = await webcrypto.subtle.sign({ name: 'RSA-PSS', saltLength: 32 }, ownKeys['sign:SHA-256'], message);
+    await expect(webcrypto.subtle.verify({ name: 'RSA-PSS', saltLength: 32 }, publicKey, signature, message)).resolves.toBe(true);
+
+    await indexedDbKeyProvider.removeKey(own.id);
+    expect((await indexedDbKeyProvider.listKeys()).map(key => key.label)).toEqual(['Shared']);
+    await expect(indexedDbKeyProvider.getClientKeys(9)).resolves.not.toBeNull();
+    await indexedDbKeyProvider.removeKey(shared.id);
+    await expect(indexedDbKeyProvider.getClientKeys(9)).resolves.toBeNull();
+});
@@ -0,0 +1,51 @@
+// Session key lifetime: when an entry expires, how its status is shown, and rotation of
+// expired or stale entries so that concurrent callers share one key exchange.
+
+// Session keys live this long unless the server says otherwise
+export const DEFAULT_KEY_TTL_MS = 30 * 60 * 1000;
+// Keys this close to expiry are shown as expiring
+export const KEY_EXPIRY_WARNING_MS = 5 * 60 * 1000;
+
+export const keyExpiresAt = (serverExpiresAt, issuedAt) => serverExpiresAt || issuedAt + DEFAULT_KEY_TTL_MS;
+
+export const getKeyStatus = (keyEntry, now = Date.now()) => {
+    if (!keyEntry) return 'missing';
+    if (now >= keyEntry.expiresAt) return 'expired';
+    if (keyEntry.expiresAt - now <= KEY_EXPIRY_WARNING_MS) return 'expiring';
+    return 'fresh';
+};
+
+export const keyStatusBadgeClass = (status) => {
+    switch (status) {
+        case 'fresh':
+            return 'bg-green-100 text-green-700';
+        case 'expiring':
+            return 'bg-yellow-100 text-yellow-700';
+        default:
+            return 'bg-red-100 text-red-700';
+    }
+};
+
+// Returns rotate(merchantId, staleEntry), which resolves to a usable entry. Callers that arrive
+// while an exchange is running share it, and a caller holding an entry that has already been
+// replaced gets the replacement instead of starting another exchange.
+export const createKeyRotator = ({ exchange, currentEntry, onRotated, now = Date.now }) => {
+    const rotations = new Map(); // In-flight key exchanges by merchant ID
+
+    return (merchantId, staleEntry) => {
+        const current = currentEntry(merchantId);
+        if (staleEntry && current && current !== staleEntry && getKeyStatus(current, now()) !== 'expired') {
+            return Promise.resolve(current);
+        }
+        if (!rotations.has(merchantId)) {
+            const rotation = exchange(merchantId)
+                .then(keyEntry => {
+                    onRotated(keyEntry);
+                    return keyEntry;
+                })
+                .finally(() => rotations.delete(merchantId));
+            rotations.set(merchantId, rotation);
+        }
+        return rotations.get(merchantId);
+    };
+};
@@ -0,0 +1,84 @@
+import { keyExpiresAt, getKeyStatus, keyStatusBadgeClass, createKeyRotator, DEFAULT_KEY_TTL_MS, KEY_EXPIRY_WARNING_MS } from './keyStatus';
+
+const NOW = 1767225600000;
+
+// An exchange that stays open until the test settles it
+const deferredExchange = () => {
+    const pending = [];
+    const exchange = jest.fn(merchantId => new Promise((resolve, reject) => pending.push({ merchantId, resolve, reject })));
+    return { exchange, pending };
+};
+
+const setup = (entries = {}) => {
+    const keys = { ...entries };
+    const { exchange, pending } = deferredExchange();
+    const rotate = createKeyRotator({
+        exchange,
+        currentEntry: merchantId => keys[merchantId],
+        onRotated: keyEntry => { keys[keyEntry.merchantId] = keyEntry; },
+        now: () => NOW
+    });
+    return { keys, exchange, pending, rotate };
+};
+
+test('uses the server expiry and falls back to the default lifetime', () => {
+    expect(keyExpiresAt(NOW + 1000, NOW)).toBe(NOW + 1000);
+    expect(keyExpiresAt(undefined, NOW)).toBe(NOW + DEFAULT_KEY_TTL_MS);
+});
+
+test('reports fresh, expiring, expired and missing keys', () => {
+    expect(getKeyStatus({ expiresAt: NOW + KEY_EXPIRY_WARNING_MS + 1 }, NOW)).toBe('fresh');
+    expect(getKeyStatus({ expiresAt: NOW + KEY_EXPIRY_WARNING_MS }, NOW)).toBe('expiring');
+    expect(getKeyStatus({ expiresAt: NOW }, NOW)).toBe('expired');
+    expect(getKeyStatus(undefined, NOW)).toBe('missing');
+
+    expect(keyStatusBadgeClass('fresh')).toContain('green');
+    expect(keyStatusBadgeClass('expiring')).toContain('yellow');
+    expect(keyStatusBadgeClass('expired')).toContain('red');
+    expect(keyStatusBadgeClass('missing')).toContain('red');
+});
+
+test('callers that arrive during a rotation share one key exchange', async () => {
+    const stale = { merchantId: 1, expiresAt: NOW };
+    const { keys, exchange, pending, rotate } = setup({ 1: stale });
+
+    const first = rotate(1, stale);
+    const second = rotate(1, stale);
+    expect(exchange).toHaveBeenCalledTimes(1);
+
+    const fresh = { merchantId: 1, expiresAt: NOW + DEFAULT_KEY_TTL_MS };
+    pending[0].resolve(fresh);
+    await expect(first).resolves.toBe(fresh);
+    await expect(second).resolves.toBe(fresh);
+    expect(keys[1]).toBe(fresh);
+
+    // A late caller still holding the old entry gets the replacement without another exchange
+    await expect(rotate(1, stale)).resolves.toBe(fresh);
+    expect(exchange).toHaveBeenCalledTimes(1);
+});
+
+test('rotates merchants independently and again once a rotation has settled', async () => {
+    const { exchange, pending, rotate } = setup();
+
+    const one = rotate(1);
+    const two = rotate(2);
+    expect(exchange.mock.calls).toEqual([[1], [2]]);
+
+    pending[0].reject(new Error('exchange failed'));
+    await expect(one).rejects.toThrow('exchange failed');
+    pending[1].resolve({ merchantId: 2, expiresAt: NOW + 1000 });
+    await two;
+
+    // A failed rotation is not cached, and an explicit rotation without a stale entry always runs
+    rotate(1);
+    rotate(2);
+    expect(exchange).toHaveBeenCalledTimes(4);
+});
+
+test('an expired replacement is rotated instead of returned', () => {
+    const stale = { merchantId: 1, expiresAt: NOW - 2000 };
+    const { exchange, rotate } = setup({ 1: { merchantId: 1, expiresAt: NOW - 1000 } });
+
+    rotate(1, stale);
+    expect(exchange).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,115 @@
+// Console logging with levels and automatic redaction. Nothing is logged in production
+// builds unless REACT_APP_LOG_LEVEL asks for it.
+
+import { luhnCheck } from './cardInput';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+export const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged, whatever they look like
+const SENSITIVE_KEY_PATTERN = /^(pan|cardNumber|cvv|cvc|password|passphrase|token|accessToken|refreshToken|key|aesKey|hmacKey|iv|tag|receipt)$|secret|signature|hmac|privateKey|sessionKey|wrappedKey|ciphertext|encrypted/i;
+
+const PEM_PATTERN = /-----BEGIN [A-Z0-9 ]+-----[\s\S]*?(-----END [A-Z0-9 ]+-----|$)/g;
+const PAN_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+// Long runs of base64/base64url or hex are keys, ciphertexts, MACs or signatures
+const BASE64_PATTERN = /[A-Za-z0-9+/_-]{24,}={0,2}/g;
+const HEX_PATTERN = /\b[0-9a-fA-F]{32,}\b/g;
+
+const MAX_DEPTH = 6;
+
+export const defaultLogLevel = (env = process.env) => {
+    const configured = (env.REACT_APP_LOG_LEVEL || '').toLowerCase();
+    if (LOG_LEVELS[configured] !== undefined) {
+        return configured;
+    }
+    return env.NODE_ENV === 'production' ? 'silent' : 'debug';
+};
+
+const maskPan = (match) => {
+    const digits = match.replace(/\D/g, '');
+    return luhnCheck(digits) ? `[PAN ****${digits.slice(-4)}]` : match;
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Random base64 mixes cases with digits or symbols; identifiers, paths and UUIDs survive
+const maskBase64 = (match) => (
+    /[a-z]/.test(match) && /[A-Z]/.test(match) && /[0-9+/=_-]/.test(match) && !UUID_PATTERN.test(match)
+        ? REDACTED
+        : match
+);
+
+export const redactString = (text) => text
+    .replace(PEM_PATTERN, '[REDACTED PEM]')
+    .replace(PAN_PATTERN, maskPan)
+    .replace(HEX_PATTERN, REDACTED)
+    .replace(BASE64_PATTERN, maskBase64);
+
+// Returns a copy of value that is safe to log; the original is never modified
+export const redact = (value, depth = 0, seen = new WeakSet()) => {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof Error) {
+        return { name: value.name, message: redactString(value.message || ''), ...(value.code ? { code: value.code } : {}) };
+    }
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        return `[${value.byteLength} bytes]`;
+    }
+    if (typeof CryptoKey !== 'undefined' && value instanceof CryptoKey) {
+        return `[CryptoKey ${value.algorithm && value.algorithm.name}]`;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Object]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1, seen));
+    }
+    return Object.keys(value).reduce((copy, key) => {
+        copy[key] = SENSITIVE_KEY_PATTERN.test(key) && value[key] !== null && value[key] !== undefined
+            ? REDACTED
+            : redact(value[key], depth + 1, seen);
+        return copy;
+    }, {});
+};
+
+// sink defaults to the console; every argument is redacted before it reaches it
+export const createLogger = ({ name = '', level = defaultLogLevel(), sink = console } = {}) => {
+    let currentLevel = LOG_LEVELS[level] !== undefined ? level : 'debug';
+    const prefix = name ? `[${name}]` : null;
+
+    const write = (method) => (...args) => {
+        if (LOG_LEVELS[method] < LOG_LEVELS[currentLevel]) {
+            return;
+        }
+        const safeArgs = args.map(arg => redact(arg));
+        sink[method](...(prefix ? [prefix, ...safeArgs] : safeArgs));
+    };
+
+    return {
+        debug: write('debug'),
+        info: write('info'),
+        warn: write('warn'),
+        error: write('error'),
+        setLevel(nextLevel) {
+            if (LOG_LEVELS[nextLevel] === undefined) {
+                throw new Error(`Unknown log level: ${nextLevel}`);
+            }
+            currentLevel = nextLevel;
+        },
+        child(childName) {
+            return createLogger({ name: name ? `${name}:${childName}` : childName, level: currentLevel, sink });
+        }
+    };
+};
+
+export const logger = createLogger({ name: 'securepay' });
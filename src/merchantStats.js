@@ -0,0 +1,100 @@
+// Normalizes the merchant statistics endpoint into counts, rates, per-currency volume
+// and a daily series, and turns it into CSV for export.
+
+import { toCsv } from './csv';
+
+// Approved means the payment stands: authorized or captured, including a capture that was
+// only partly refunded. Voided and fully refunded transactions are not approvals.
+export const APPROVED_STATUSES = ['APPROVED', 'AUTHORIZED', 'CAPTURED', 'PARTIALLY_REFUNDED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_RANGE_DAYS = 30;
+
+const toDateInput = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Last 30 days, as values for <input type="date">
+export const defaultDateRange = (now = new Date()) => ({
+    from: toDateInput(new Date(now.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS)),
+    to: toDateInput(now)
+});
+
+// Accept both { USD: 1200 } and [{ currency: 'USD', amountMinor: 1200 }]
+const normalizeVolume = (raw) => {
+    if (!raw) return [];
+    const entries = Array.isArray(raw)
+        ? raw.map(entry => [entry.currency, entry.amountMinor])
+        : Object.entries(raw);
+    return entries
+        .filter(([currency, amountMinor]) => currency && Number.isFinite(amountMinor))
+        .map(([currency, amountMinor]) => ({ currency, amountMinor }))
+        .sort((a, b) => a.currency.localeCompare(b.currency));
+};
+
+const summarizeCounts = (countsByStatus) => {
+    let approved = 0;
+    let declined = 0;
+    let failed = 0;
+    let total = 0;
+    Object.entries(countsByStatus).forEach(([status, count]) => {
+        total += count;
+        if (APPROVED_STATUSES.includes(status)) approved += count;
+        if (status === 'DECLINED') declined += count;
+        if (status === 'FAILED') failed += count;
+    });
+    return { total, approved, declined, failed };
+};
+
+export const normalizeStats = (raw = {}) => {
+    const countsByStatus = { ...(raw.countsByStatus || {}) };
+    const series = (raw.series || []).map(point => ({
+        date: point.date || point.bucket,
+        total: point.total || point.count || 0,
+        approved: point.approved || 0,
+        declined: point.declined || 0,
+        failed: point.failed || 0,
+        volume: normalizeVolume(point.volumeByCurrency || point.volume)
+    })).sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+    return {
+        countsByStatus,
+        ...summarizeCounts(countsByStatus),
+        volumeByCurrency: normalizeVolume(raw.volumeByCurrency || raw.volume),
+        series
+    };
+};
+
+// Rates are over finished transactions only, so pending ones do not drag them down
+export const approvalRates = ({ approved, declined, failed }) => {
+    const finished = approved + declined + failed;
+    if (!finished) return { approvalRate: null, declineRate: null, failureRate: null };
+    return {
+        approvalRate: approved / finished,
+        declineRate: declined / finished,
+        failureRate: failed / finished
+    };
+};
+
+// One row per day; volume gets a minor-unit column per currency seen in the range
+export const statsToCsv = (stats) => {
+    const currencies = [...new Set(stats.series.flatMap(point => point.volume.map(entry => entry.currency)))].sort();
+    const columns = [
+        { key: 'date', header: 'date' },
+        { key: 'total', header: 'total' },
+        { key: 'approved', header: 'approved' },
+        { key: 'declined', header: 'declined' },
+        { key: 'failed', header: 'failed' },
+        ...currencies.map(currency => ({ key: `volume_${currency}`, header: `volume_${currency}_minor` }))
+    ];
+    const rows = stats.series.map(point => {
+        const row = { ...point };
+        currencies.forEach(currency => {
+            const entry = point.volume.find(volume => volume.currency === currency);
+            row[`volume_${currency}`] = entry ? entry.amountMinor : 0;
+        });
+        return row;
+    });
+    return toCsv(columns, rows);
+};
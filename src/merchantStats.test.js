@@ -0,0 +1,42 @@
+import { normalizeStats, approvalRates, statsToCsv, defaultDateRange, APPROVED_STATUSES } from './merchantStats';
+
+const raw = {
+    countsByStatus: { APPROVED: 7, REFUNDED: 1, DECLINED: 2, FAILED: 1, PENDING: 3 },
+    volumeByCurrency: { USD: 123456, EUR: 5000 },
+    series: [
+        { date: '2026-03-02', total: 4, approved: 3, declined: 1, volumeByCurrency: [{ currency: 'USD', amountMinor: 100 }] },
+        { date: '2026-03-01', count: 2, approved: 2, volumeByCurrency: { EUR: 5000, USD: 50 } }
+    ]
+};
+
+test('summarizes counts by status', () => {
+    const stats = normalizeStats(raw);
+    expect(stats).toMatchObject({ total: 14, approved: 7, declined: 2, failed: 1 });
+    expect(stats.volumeByCurrency).toEqual([{ currency: 'EUR', amountMinor: 5000 }, { currency: 'USD', amountMinor: 123456 }]);
+    expect(stats.series.map(point => point.date)).toEqual(['2026-03-01', '2026-03-02']);
+});
+
+test('counts authorized and captured payments as approved, but not voided or refunded ones', () => {
+    expect(APPROVED_STATUSES).toEqual(['APPROVED', 'AUTHORIZED', 'CAPTURED', 'PARTIALLY_REFUNDED']);
+
+    const stats = normalizeStats({ countsByStatus: { AUTHORIZED: 2, CAPTURED: 3, PARTIALLY_REFUNDED: 1, VOIDED: 4, REFUNDED: 5, DECLINED: 2 } });
+    expect(stats).toMatchObject({ total: 17, approved: 6, declined: 2, failed: 0 });
+    expect(approvalRates(stats).approvalRate).toBe(0.75);
+});
+
+test('computes rates over finished transactions', () => {
+    expect(approvalRates(normalizeStats(raw))).toEqual({ approvalRate: 0.7, declineRate: 0.2, failureRate: 0.1 });
+    expect(approvalRates(normalizeStats({})).approvalRate).toBeNull();
+});
+
+test('exports the daily series with a volume column per currency', () => {
+    expect(statsToCsv(normalizeStats(raw))).toBe(
+        'date,total,approved,declined,failed,volume_EUR_minor,volume_USD_minor\r\n' +
+        '2026-03-01,2,2,0,0,5000,50\r\n' +
+        '2026-03-02,4,3,1,0,0,100\r\n'
+    );
+});
+
+test('defaults to the last 30 days', () => {
+    expect(defaultDateRange(new Date(2026, 2, 31, 12))).toEqual({ from: '2026-03-02', to: '2026-03-31' });
+});
@@ -0,0 +1,24 @@
+// Merchant records as the console keeps them: the list from the backend, updates from the
+// detail view and the fields the create and edit forms require.
+
+// Merchants without an explicit flag are treated as active
+export const isMerchantActive = (merchant) => merchant.active !== false;
+
+// Accept both a paged response and a plain array
+export const normalizeMerchantList = (result) => {
+    if (Array.isArray(result)) return result;
+    return (result && result.content) || [];
+};
+
+// Replace the merchant with the same ID, or append one the list does not have yet
+export const upsertMerchant = (merchants, merchant) => (
+    merchants.some(m => m.id === merchant.id)
+        ? merchants.map(m => (m.id === merchant.id ? merchant : m))
+        : [...merchants, merchant]
+);
+
+// The editable fields of a loaded merchant
+export const merchantEditForm = (merchant) => ({ name: merchant.name, email: merchant.email });
+
+// Returns an error message, or null when the form can be sent
+export const validateMerchantForm = (form) => (form.name && form.email ? null : 'Please fill in all fields');
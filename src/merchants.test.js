@@ -0,0 +1,34 @@
+import { isMerchantActive, normalizeMerchantList, upsertMerchant, merchantEditForm, validateMerchantForm } from './merchants';
+
+const shop = { id: 1, name: 'Shop', email: 'shop@example.com' };
+const cafe = { id: 2, name: 'Cafe', email: 'cafe@example.com', active: true };
+
+test('treats merchants without a flag as active', () => {
+    expect(isMerchantActive(shop)).toBe(true);
+    expect(isMerchantActive(cafe)).toBe(true);
+    expect(isMerchantActive({ ...cafe, active: false })).toBe(false);
+});
+
+test('reads a paged response and a plain array', () => {
+    expect(normalizeMerchantList([shop, cafe])).toEqual([shop, cafe]);
+    expect(normalizeMerchantList({ content: [cafe], totalPages: 1 })).toEqual([cafe]);
+    expect(normalizeMerchantList({})).toEqual([]);
+    expect(normalizeMerchantList(null)).toEqual([]);
+});
+
+test('replaces an updated merchant in place and appends a new one', () => {
+    const deactivated = { ...shop, active: false };
+
+    expect(upsertMerchant([shop, cafe], deactivated)).toEqual([deactivated, cafe]);
+    expect(upsertMerchant([shop], cafe)).toEqual([shop, cafe]);
+    // A merchant created while the list was loading is not listed twice
+    expect(upsertMerchant([shop, cafe], cafe)).toEqual([shop, cafe]);
+});
+
+test('edits only the name and email and requires both', () => {
+    expect(merchantEditForm({ ...cafe, createdAt: 1 })).toEqual({ name: 'Cafe', email: 'cafe@example.com' });
+
+    expect(validateMerchantForm({ name: 'Cafe', email: 'cafe@example.com' })).toBeNull();
+    expect(validateMerchantForm({ name: 'Cafe', email: '' })).toBe('Please fill in all fields');
+    expect(validateMerchantForm({ name: '', email: 'cafe@example.com' })).toBe('Please fill in all fields');
+});
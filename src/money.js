@@ -0,0 +1,87 @@
+// Amounts as integer minor units (cents, yen, fils) using ISO 4217 exponents, so no
+// floating-point value ever reaches a signed payload.
+
+// Exponents for the currencies a backend is likely to offer; anything else must
+// come with an explicit exponent from config or the currencies endpoint
+export const ISO_4217_EXPONENTS = {
+    AUD: 2, BHD: 3, BRL: 2, CAD: 2, CHF: 2, CLP: 0, CNY: 2, CZK: 2, DKK: 2, EUR: 2,
+    GBP: 2, HKD: 2, HUF: 2, IDR: 2, ILS: 2, INR: 2, ISK: 0, JOD: 3, JPY: 0, KRW: 0,
+    KWD: 3, MXN: 2, NOK: 2, NZD: 2, OMR: 3, PLN: 2, SEK: 2, SGD: 2, TND: 3, TRY: 2,
+    UGX: 0, USD: 2, VND: 0, ZAR: 2
+};
+
+export const DEFAULT_CURRENCY_CODES = ['USD', 'EUR', 'GBP'];
+
+// Upper bound keeps every amount a safe integer once converted
+const DEFAULT_MAX_MAJOR_UNITS = 1000000;
+
+// Fill in exponent and limits (in minor units) for one currency entry
+export const normalizeCurrency = (entry) => {
+    const { code, exponent, minMinor, maxMinor } = typeof entry === 'string' ? { code: entry } : entry;
+    const upperCode = String(code || '').toUpperCase();
+    if (!/^[A-Z]{3}$/.test(upperCode)) {
+        throw new Error(`Invalid currency code: ${code}`);
+    }
+    const resolvedExponent = exponent !== undefined ? exponent : ISO_4217_EXPONENTS[upperCode];
+    if (!Number.isInteger(resolvedExponent) || resolvedExponent < 0 || resolvedExponent > 4) {
+        throw new Error(`Unknown minor unit exponent for ${upperCode}`);
+    }
+    return {
+        code: upperCode,
+        exponent: resolvedExponent,
+        minMinor: minMinor !== undefined ? minMinor : 1,
+        maxMinor: maxMinor !== undefined ? maxMinor : DEFAULT_MAX_MAJOR_UNITS * (10 ** resolvedExponent)
+    };
+};
+
+// Accepts "USD,EUR,JPY" or a JSON array of codes / currency objects (REACT_APP_CURRENCIES)
+export const currenciesFromConfig = (value) => {
+    if (!value || !value.trim()) return null;
+    const entries = value.trim().startsWith('[')
+        ? JSON.parse(value)
+        : value.split(',').map(code => code.trim()).filter(Boolean);
+    return entries.map(normalizeCurrency);
+};
+
+export const DEFAULT_CURRENCIES = DEFAULT_CURRENCY_CODES.map(normalizeCurrency);
+
+// Parse a decimal string without going through floats; returns null for malformed input
+export const parseToMinorUnits = (input, currency) => {
+    const match = /^(\d+)(?:\.(\d*))?$/.exec(String(input || '').trim());
+    if (!match) return null;
+    const fraction = match[2] || '';
+    if (fraction.length > currency.exponent) return null;
+    // The digit string is an exact integer, so Number() only loses precision past the safe range
+    const minor = Number(match[1] + fraction.padEnd(currency.exponent, '0'));
+    return Number.isSafeInteger(minor) ? minor : null;
+};
+
+// Returns an error message, or null when the amount is acceptable for the currency
+export const validateAmount = (input, currency, locale) => {
+    if (!String(input || '').trim()) return 'Amount is required';
+    const minor = parseToMinorUnits(input, currency);
+    if (minor === null) {
+        return currency.exponent === 0
+            ? `${currency.code} amounts must be whole numbers`
+            : `${currency.code} amounts allow at most ${currency.exponent} decimal places`;
+    }
+    if (minor <= 0) return 'Amount must be greater than zero';
+    if (minor < currency.minMinor) return `Minimum amount is ${formatMinorUnits(currency.minMinor, currency, locale)}`;
+    if (minor > currency.maxMinor) return `Maximum amount is ${formatMinorUnits(currency.maxMinor, currency, locale)}`;
+    return null;
+};
+
+export const formatMinorUnits = (minor, currency, locale) => {
+    const major = Number(minor) / (10 ** currency.exponent);
+    try {
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: currency.code,
+            minimumFractionDigits: currency.exponent,
+            maximumFractionDigits: currency.exponent
+        }).format(major);
+    } catch (error) {
+        // Codes Intl does not know still get a readable amount
+        return `${major.toFixed(currency.exponent)} ${currency.code}`;
+    }
+};
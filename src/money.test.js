@@ -0,0 +1,55 @@
+import {
+    normalizeCurrency,
+    currenciesFromConfig,
+    parseToMinorUnits,
+    validateAmount,
+    formatMinorUnits
+} from './money';
+
+const USD = normalizeCurrency('USD');
+const JPY = normalizeCurrency('JPY');
+const BHD = normalizeCurrency('BHD');
+
+test('uses ISO 4217 exponents', () => {
+    expect(USD.exponent).toBe(2);
+    expect(JPY.exponent).toBe(0);
+    expect(BHD.exponent).toBe(3);
+    expect(() => normalizeCurrency('XYZ')).toThrow('Unknown minor unit exponent');
+    expect(normalizeCurrency({ code: 'xyz', exponent: 2 }).code).toBe('XYZ');
+});
+
+test('converts decimal input to minor units without float error', () => {
+    expect(parseToMinorUnits('0.3', USD)).toBe(30);
+    expect(parseToMinorUnits('10.05', USD)).toBe(1005);
+    expect(parseToMinorUnits('19.', USD)).toBe(1900);
+    expect(parseToMinorUnits('1500', JPY)).toBe(1500);
+    expect(parseToMinorUnits('1.234', BHD)).toBe(1234);
+});
+
+test('rejects more decimals than the currency allows', () => {
+    expect(parseToMinorUnits('1.001', USD)).toBeNull();
+    expect(parseToMinorUnits('100.5', JPY)).toBeNull();
+    expect(parseToMinorUnits('-1', USD)).toBeNull();
+    expect(parseToMinorUnits('1e3', USD)).toBeNull();
+    expect(validateAmount('100.5', JPY)).toBe('JPY amounts must be whole numbers');
+});
+
+test('enforces positive values and per-currency limits', () => {
+    const limited = normalizeCurrency({ code: 'USD', minMinor: 50, maxMinor: 100000 });
+    expect(validateAmount('', limited)).toBe('Amount is required');
+    expect(validateAmount('0', limited)).toBe('Amount must be greater than zero');
+    expect(validateAmount('0.49', limited, 'en-US')).toBe('Minimum amount is $0.50');
+    expect(validateAmount('1000.01', limited, 'en-US')).toBe('Maximum amount is $1,000.00');
+    expect(validateAmount('1000', limited)).toBeNull();
+});
+
+test('formats minor units for the locale', () => {
+    expect(formatMinorUnits(123456, USD, 'en-US')).toBe('$1,234.56');
+    expect(formatMinorUnits(1500, JPY, 'en-US')).toBe('¥1,500');
+});
+
+test('reads currencies from config', () => {
+    expect(currenciesFromConfig('')).toBeNull();
+    expect(currenciesFromConfig('usd, JPY').map(c => c.code)).toEqual(['USD', 'JPY']);
+    expect(currenciesFromConfig('[{"code":"EUR","minMinor":100}]')[0]).toMatchObject({ code: 'EUR', exponent: 2, minMinor: 100 });
+});
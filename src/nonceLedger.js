@@ -0,0 +1,50 @@
+// Tracks the nonces this client has sent so that a server response can only be accepted
+// once, and only if it answers a request we actually made recently.
+
+export const DEFAULT_NONCE_MAX_AGE_MS = 5 * 60 * 1000;
+
+export const createNonceLedger = ({ maxAgeMs = DEFAULT_NONCE_MAX_AGE_MS, now = () => Date.now() } = {}) => {
+    const entries = new Map();
+
+    // Forget everything older than the window; anything that old is rejected as unknown anyway
+    const prune = () => {
+        const cutoff = now() - maxAgeMs;
+        entries.forEach((entry, nonce) => {
+            if (entry.issuedAt < cutoff) {
+                entries.delete(nonce);
+            }
+        });
+    };
+
+    return {
+        // Record a nonce we are about to send
+        issue(nonce, timestamp) {
+            prune();
+            if (entries.has(nonce)) {
+                throw new Error('Nonce collision: this nonce was already issued');
+            }
+            entries.set(nonce, { timestamp, issuedAt: now(), consumed: false });
+        },
+
+        // Accept a server response that echoes a nonce; throws if it is unknown, stale or reused
+        consume(nonce, timestamp) {
+            prune();
+            const entry = entries.get(nonce);
+            if (!entry) {
+                throw new Error('Response rejected: unknown or expired nonce');
+            }
+            if (entry.consumed) {
+                throw new Error('Response rejected: nonce has already been used');
+            }
+            if (timestamp !== undefined && timestamp !== entry.timestamp) {
+                throw new Error('Response rejected: timestamp does not match the nonce');
+            }
+            entry.consumed = true;
+        },
+
+        size() {
+            prune();
+            return entries.size;
+        }
+    };
+};
@@ -0,0 +1,39 @@
+import { createNonceLedger } from './nonceLedger';
+
+const createClock = (start = 1000) => {
+    let time = start;
+    return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+test('accepts a response echoing an issued nonce exactly once', () => {
+    const ledger = createNonceLedger();
+    ledger.issue('abc', 1);
+    expect(() => ledger.consume('abc', 1)).not.toThrow();
+    expect(() => ledger.consume('abc', 1)).toThrow('already been used');
+});
+
+test('rejects nonces it never issued', () => {
+    const ledger = createNonceLedger();
+    expect(() => ledger.consume('never-sent', 1)).toThrow('unknown or expired nonce');
+});
+
+test('rejects a mismatched timestamp', () => {
+    const ledger = createNonceLedger();
+    ledger.issue('abc', 1);
+    expect(() => ledger.consume('abc', 2)).toThrow('timestamp does not match');
+});
+
+test('forgets nonces older than the window', () => {
+    const clock = createClock();
+    const ledger = createNonceLedger({ maxAgeMs: 100, now: clock.now });
+    ledger.issue('abc', 1);
+    clock.advance(101);
+    expect(ledger.size()).toBe(0);
+    expect(() => ledger.consume('abc', 1)).toThrow('unknown or expired nonce');
+});
+
+test('refuses to issue the same nonce twice', () => {
+    const ledger = createNonceLedger();
+    ledger.issue('abc', 1);
+    expect(() => ledger.issue('abc', 2)).toThrow('Nonce collision');
+});
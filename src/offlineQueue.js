@@ -0,0 +1,168 @@
+// Offline mode: transactions that could not be sent are queued in IndexedDB, already encrypted
+// and signed, and wrapped once more with a device key. Shared by the page and the service worker.
+
+import { parseErrorResponse, SessionExpiredError, StaleKeyError } from './apiClient';
+import { DEFAULT_NONCE_MAX_AGE_MS } from './nonceLedger';
+
+export const OFFLINE_MODE_STORAGE_KEY = 'securepay.offlineMode';
+
+// Signatures older than this are re-signed before sending, leaving a margin inside the
+// server's nonce window for clock skew and the request itself
+export const OFFLINE_SIGNATURE_MAX_AGE_MS = DEFAULT_NONCE_MAX_AGE_MS - 60 * 1000;
+
+const DB_NAME = 'securepay-offline';
+const DB_VERSION = 1;
+const QUEUE_STORE = 'queue';
+const DEVICE_KEY_STORE = 'deviceKey';
+const DEVICE_KEY_ID = 'device';
+const WRAP_IV_LENGTH = 12;
+
+const RETRY_STATUSES = [429, 502, 503, 504];
+
+// Entry statuses: queued (waiting for the backend), failed (rejected by the server) and
+// expired (too old to send and its session key is gone, so it cannot be re-signed)
+
+// The device key is a non-extractable AES-GCM key that never leaves this browser profile
+export const generateDeviceKey = (subtle = crypto.subtle) =>
+    subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+export const wrapPayload = async (deviceKey, payload, subtle = crypto.subtle) => {
+    const iv = crypto.getRandomValues(new Uint8Array(WRAP_IV_LENGTH));
+    const data = await subtle.encrypt({ name: 'AES-GCM', iv }, deviceKey, new TextEncoder().encode(JSON.stringify(payload)));
+    return { iv, data };
+};
+
+export const unwrapPayload = async (deviceKey, { iv, data }, subtle = crypto.subtle) => {
+    const plaintext = await subtle.decrypt({ name: 'AES-GCM', iv }, deviceKey, data);
+    return JSON.parse(new TextDecoder().decode(plaintext));
+};
+
+// 'send' while the original signature is fresh, 'resign' when it is stale but the session key
+// that encrypted the card is still held, otherwise 'expired': the card has to be entered again
+export const resignDecision = (entry, keyEntry, now = Date.now()) => {
+    if (now - entry.signedAt < OFFLINE_SIGNATURE_MAX_AGE_MS) {
+        return 'send';
+    }
+    if (keyEntry && keyEntry.issuedAt === entry.keyIssuedAt && keyEntry.expiresAt > now) {
+        return 'resign';
+    }
+    return 'expired';
+};
+
+const openQueueDatabase = (idb) => new Promise((resolve, reject) => {
+    const request = idb.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+        request.result.createObjectStore(DEVICE_KEY_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+export const createOfflineQueueStore = ({ indexedDB: idb = typeof indexedDB !== 'undefined' ? indexedDB : null } = {}) => {
+    const run = async (storeName, mode, operation) => {
+        const db = await openQueueDatabase(idb);
+        try {
+            return await new Promise((resolve, reject) => {
+                const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } finally {
+            db.close();
+        }
+    };
+
+    let deviceKeyPromise = null;
+
+    return {
+        isAvailable: () => Boolean(idb),
+
+        // Created on first use. add() refuses to overwrite, so when two tabs race the
+        // first stored key wins and the other tab adopts it.
+        getDeviceKey() {
+            if (!deviceKeyPromise) {
+                const readKey = () => run(DEVICE_KEY_STORE, 'readonly', store => store.get(DEVICE_KEY_ID));
+                deviceKeyPromise = (async () => {
+                    const stored = await readKey();
+                    if (stored) return stored.key;
+                    const key = await generateDeviceKey();
+                    try {
+                        await run(DEVICE_KEY_STORE, 'readwrite', store => store.add({ id: DEVICE_KEY_ID, key }));
+                        return key;
+                    } catch (error) {
+                        return (await readKey()).key;
+                    }
+                })().catch(error => {
+                    deviceKeyPromise = null;
+                    throw error;
+                });
+            }
+            return deviceKeyPromise;
+        },
+
+        async list() {
+            const entries = await run(QUEUE_STORE, 'readonly', store => store.getAll());
+            return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+        },
+
+        put: (entry) => run(QUEUE_STORE, 'readwrite', store => store.put(entry)),
+
+        remove: (id) => run(QUEUE_STORE, 'readwrite', store => store.delete(id))
+    };
+};
+
+// Posts one unwrapped payload. The access token comes from the page, which owns the session.
+export const createQueueSender = ({ baseUrl, accessToken, fetchImpl = (...args) => fetch(...args) }) =>
+    ({ path, body, headers }) => fetchImpl(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}`, ...headers },
+        body: JSON.stringify(body)
+    });
+
+// Send queued entries oldest first. `overrides` maps entry IDs to re-signed headers. Each
+// entry keeps its idempotency key, so a resend after a lost response cannot charge twice.
+// Flushing stops at the first sign that the backend or the session is unavailable again.
+export const flushQueue = async ({ store, deviceKey, send, overrides = {} }) => {
+    const results = [];
+    const entries = (await store.list()).filter(entry => entry.status === 'queued');
+
+    for (const entry of entries) {
+        let payload;
+        try {
+            payload = await unwrapPayload(deviceKey, entry.wrapped);
+        } catch (error) {
+            await store.put({ ...entry, status: 'failed', error: 'Could not be unwrapped with this device key' });
+            results.push({ id: entry.id, outcome: 'failed', error: 'Could not be unwrapped with this device key' });
+            continue;
+        }
+
+        let response;
+        try {
+            response = await send({ ...payload, headers: { ...payload.headers, ...overrides[entry.id] } });
+        } catch (error) {
+            results.push({ id: entry.id, outcome: 'retry', error: `Network error: ${error.message}` });
+            break;
+        }
+
+        if (response.ok) {
+            const text = await response.text();
+            const result = text ? JSON.parse(text) : {};
+            await store.remove(entry.id);
+            results.push({ id: entry.id, outcome: 'sent', transactionId: result.transactionId || result.id || null });
+            continue;
+        }
+
+        const error = await parseErrorResponse(response);
+        if (RETRY_STATUSES.includes(response.status) || response.status >= 500 || error instanceof SessionExpiredError) {
+            results.push({ id: entry.id, outcome: 'retry', error: error.message });
+            break;
+        }
+        // A rejected session key means the server can no longer read the encrypted card.
+        // Backends without error codes answer that with a bare 401.
+        const status = error instanceof StaleKeyError || (response.status === 401 && !error.code) ? 'expired' : 'failed';
+        await store.put({ ...entry, status, error: error.message });
+        results.push({ id: entry.id, outcome: status, error: error.message });
+    }
+    return results;
+};
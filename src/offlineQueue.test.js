@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+
+import { webcrypto } from 'crypto';
+import { generateDeviceKey, wrapPayload, unwrapPayload, resignDecision, flushQueue, OFFLINE_SIGNATURE_MAX_AGE_MS } from './offlineQueue';
+
+const { subtle } = webcrypto;
+
+const jsonResponse = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    text: async () => (body === undefined ? '' : JSON.stringify(body))
+});
+
+const createMemoryStore = (entries) => {
+    const records = new Map(entries.map(entry => [entry.id, entry]));
+    return {
+        list: async () => [...records.values()].sort((a, b) => a.queuedAt - b.queuedAt),
+        put: async (entry) => { records.set(entry.id, entry); },
+        remove: async (id) => { records.delete(id); },
+        get: (id) => records.get(id)
+    };
+};
+
+const payload = { path: '/transactions', body: { merchantId: 1, pan: { ciphertext: 'Y3Q=' } }, headers: { 'X-Signature': 'old', 'Idempotency-Key': 'key-1' } };
+
+// The device key IVs come from the global crypto, which the node test environment lacks
+beforeAll(() => {
+    if (!global.crypto) {
+        global.crypto = webcrypto;
+    }
+});
+
+const queueEntries = async (deviceKey, ids) => Promise.all(ids.map(async (id, index) => ({
+    id,
+    queuedAt: index,
+    status: 'queued',
+    wrapped: await wrapPayload(deviceKey, { ...payload, headers: { ...payload.headers, 'Idempotency-Key': id } }, subtle)
+})));
+
+test('wraps payloads with a non-extractable device key', async () => {
+    const deviceKey = await generateDeviceKey(subtle);
+    expect(deviceKey.extractable).toBe(false);
+
+    const wrapped = await wrapPayload(deviceKey, payload, subtle);
+    expect(new TextDecoder().decode(wrapped.data)).not.toContain('Y3Q=');
+    await expect(unwrapPayload(deviceKey, wrapped, subtle)).resolves.toEqual(payload);
+    await expect(unwrapPayload(await generateDeviceKey(subtle), wrapped, subtle)).rejects.toThrow();
+});
+
+test('sends fresh signatures as they are and re-signs only with the original session key', () => {
+    const entry = { signedAt: 0, keyIssuedAt: 100 };
+    const keyEntry = { issuedAt: 100, expiresAt: OFFLINE_SIGNATURE_MAX_AGE_MS * 2 };
+
+    expect(resignDecision(entry, null, OFFLINE_SIGNATURE_MAX_AGE_MS - 1)).toBe('send');
+    expect(resignDecision(entry, keyEntry, OFFLINE_SIGNATURE_MAX_AGE_MS)).toBe('resign');
+    expect(resignDecision(entry, { ...keyEntry, issuedAt: 200 }, OFFLINE_SIGNATURE_MAX_AGE_MS)).toBe('expired');
+    expect(resignDecision(entry, keyEntry, OFFLINE_SIGNATURE_MAX_AGE_MS * 2)).toBe('expired');
+    expect(resignDecision(entry, undefined, OFFLINE_SIGNATURE_MAX_AGE_MS)).toBe('expired');
+});
+
+test('sends entries in order with re-signed headers and stops when the backend is down again', async () => {
+    const deviceKey = await generateDeviceKey(subtle);
+    const store = createMemoryStore(await queueEntries(deviceKey, ['a', 'b', 'c']));
+    const send = jest.fn()
+        .mockResolvedValueOnce(jsonResponse(201, { transactionId: 'tx-a' }))
+        .mockResolvedValueOnce(jsonResponse(503, {}));
+
+    const results = await flushQueue({ store, deviceKey, send, overrides: { a: { 'X-Signature': 'new' } } });
+
+    expect(send.mock.calls[0][0]).toEqual({ ...payload, headers: { 'X-Signature': 'new', 'Idempotency-Key': 'a' } });
+    expect(results).toEqual([
+        { id: 'a', outcome: 'sent', transactionId: 'tx-a' },
+        { id: 'b', outcome: 'retry', error: 'HTTP error! status: 503' }
+    ]);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(store.get('a')).toBeUndefined();
+    expect(store.get('b').status).toBe('queued');
+});
+
+test('marks rejected entries and keeps going', async () => {
+    const deviceKey = await generateDeviceKey(subtle);
+    const store = createMemoryStore(await queueEntries(deviceKey, ['a', 'b', 'c']));
+    const send = jest.fn()
+        .mockResolvedValueOnce(jsonResponse(400, { message: 'Amount too large' }))
+        .mockResolvedValueOnce(jsonResponse(401, { code: 'KEY_EXPIRED', message: 'Unknown session key' }))
+        .mockResolvedValueOnce(jsonResponse(200, { id: 'tx-c' }));
+
+    const results = await flushQueue({ store, deviceKey, send });
+
+    expect(results.map(result => result.outcome)).toEqual(['failed', 'expired', 'sent']);
+    expect(store.get('a')).toMatchObject({ status: 'failed', error: 'Amount too large' });
+    expect(store.get('b')).toMatchObject({ status: 'expired' });
+});
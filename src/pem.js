@@ -0,0 +1,50 @@
+// Reads the server's RSA public key from PEM (SPKI or PKCS#1) with node-forge and normalises
+// it to the SPKI DER that WebCrypto imports. Private keys go through src/keyProviders.js.
+
+import forge from 'node-forge';
+
+const ENCODINGS = {
+    'PUBLIC KEY': 'SPKI',
+    'RSA PUBLIC KEY': 'PKCS#1'
+};
+
+const toArrayBuffer = (binary) => {
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+};
+
+// `der` is ready for crypto.subtle.importKey('spki', der, ...)
+export const parsePublicKeyPem = (pem) => {
+    const match = /-----BEGIN ([A-Z0-9 ]+)-----[\s\S]*?-----END \1-----/.exec(pem || '');
+    if (!match) {
+        throw new Error('Not a PEM key: missing BEGIN/END lines');
+    }
+
+    const label = match[1];
+    const encoding = ENCODINGS[label];
+    if (!encoding) {
+        if (/PRIVATE KEY$/.test(label)) {
+            throw new Error(`Expected a public key, got ${label}`);
+        }
+        throw new Error(`Unsupported PEM type: ${label}`);
+    }
+
+    let publicKey;
+    try {
+        publicKey = forge.pki.publicKeyFromPem(match[0]);
+    } catch (error) {
+        throw new Error(`Could not parse ${label}: ${error.message}`);
+    }
+
+    return {
+        type: 'public',
+        encoding,
+        keyType: 'RSA',
+        keySize: publicKey.n.bitLength(),
+        format: 'spki',
+        der: toArrayBuffer(forge.asn1.toDer(forge.pki.publicKeyToAsn1(publicKey)).getBytes())
+    };
+};
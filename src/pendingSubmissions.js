@@ -0,0 +1,60 @@
+// Transaction submissions whose outcome has not been confirmed yet. They are kept in
+// localStorage so a reload or dropped connection can be reconciled with the server
+// by idempotency key instead of posting the payment a second time. Only the last
+// four card digits are stored.
+
+export const PENDING_SUBMISSIONS_STORAGE_KEY = 'securepay.pendingSubmissions';
+
+// 'submitting' while the POST is in flight, 'unknown' when it failed without an answer,
+// 'checking' while the server is asked, 'not_received' when the server has no record of it
+export const PENDING_STATUSES = ['submitting', 'unknown', 'checking', 'not_received'];
+
+export const createPendingSubmissionStore = ({
+    storage = window.localStorage,
+    storageKey = PENDING_SUBMISSIONS_STORAGE_KEY
+} = {}) => {
+    const read = () => {
+        try {
+            const parsed = JSON.parse(storage.getItem(storageKey) || '[]');
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            return [];
+        }
+    };
+
+    const write = (entries) => {
+        if (entries.length) {
+            storage.setItem(storageKey, JSON.stringify(entries));
+        } else {
+            storage.removeItem(storageKey);
+        }
+    };
+
+    return {
+        list: () => read(),
+
+        get: (idempotencyKey) => read().find(entry => entry.idempotencyKey === idempotencyKey) || null,
+
+        // Insert or replace the entry with the same idempotency key
+        save(entry) {
+            const entries = read().filter(existing => existing.idempotencyKey !== entry.idempotencyKey);
+            entries.push(entry);
+            write(entries);
+        },
+
+        update(idempotencyKey, changes) {
+            write(read().map(entry => (entry.idempotencyKey === idempotencyKey ? { ...entry, ...changes } : entry)));
+        },
+
+        remove(idempotencyKey) {
+            write(read().filter(entry => entry.idempotencyKey !== idempotencyKey));
+        },
+
+        // The form was edited, so this key no longer matches its payload. An entry the server
+        // never received is dropped; one whose outcome is still open stays listed so that a
+        // payment that may have gone through can still be checked or discarded by hand.
+        release(idempotencyKey) {
+            write(read().filter(entry => entry.idempotencyKey !== idempotencyKey || entry.status !== 'not_received'));
+        }
+    };
+};
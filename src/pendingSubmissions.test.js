@@ -0,0 +1,47 @@
+import { createPendingSubmissionStore, PENDING_SUBMISSIONS_STORAGE_KEY } from './pendingSubmissions';
+
+const entry = (idempotencyKey, extra = {}) => ({ idempotencyKey, merchantId: 1, amount: '10.00', currency: 'USD', status: 'submitting', ...extra });
+
+beforeEach(() => {
+    window.localStorage.clear();
+});
+
+test('persists entries across store instances', () => {
+    createPendingSubmissionStore().save(entry('a'));
+    expect(createPendingSubmissionStore().list()).toEqual([entry('a')]);
+});
+
+test('replaces an entry saved again under the same key', () => {
+    const store = createPendingSubmissionStore();
+    store.save(entry('a'));
+    store.save(entry('a', { amount: '20.00' }));
+    expect(store.list()).toEqual([entry('a', { amount: '20.00' })]);
+});
+
+test('updates and removes by idempotency key', () => {
+    const store = createPendingSubmissionStore();
+    store.save(entry('a'));
+    store.save(entry('b'));
+    store.update('a', { status: 'unknown' });
+    expect(store.get('a').status).toBe('unknown');
+
+    store.remove('a');
+    store.remove('b');
+    expect(store.list()).toEqual([]);
+    expect(window.localStorage.getItem(PENDING_SUBMISSIONS_STORAGE_KEY)).toBeNull();
+});
+
+test('ignores corrupt storage', () => {
+    window.localStorage.setItem(PENDING_SUBMISSIONS_STORAGE_KEY, '{not json');
+    expect(createPendingSubmissionStore().list()).toEqual([]);
+});
+
+test('releasing a key drops a submission the server never received but keeps open outcomes', () => {
+    const store = createPendingSubmissionStore();
+    store.save(entry('a', { status: 'not_received' }));
+    store.save(entry('b', { status: 'unknown' }));
+
+    store.release('a');
+    store.release('b');
+    expect(store.list().map(saved => saved.idempotencyKey)).toEqual(['b']);
+});
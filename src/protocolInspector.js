@@ -0,0 +1,96 @@
+// Records each step of the signing and encryption protocol for the developer inspector.
+// Secrets are masked when a step is recorded, so the recorder never holds them in clear.
+
+export const INSPECTOR_STORAGE_KEY = 'securepay.protocolInspector';
+export const DEFAULT_INSPECTOR_LIMIT = 100;
+
+// Session keys, card data and credentials; blobs, IVs and signatures are shown in full
+const SECRET_KEY_PATTERN = /^(aesKey|hmacKey|aesKeyBase64|hmacKeyBase64|key|pan|cvv|cvc|password|token|accessToken|refreshToken|authorization)$/i;
+
+// Only the length is kept: even a few characters of a session key are key material
+export const maskSecret = (value) => `•••• (${String(value).length} chars)`;
+
+export const maskFields = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(maskFields);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    return Object.keys(value).reduce((copy, key) => {
+        const field = value[key];
+        // Encrypted card data arrives as an envelope object and is safe to show
+        copy[key] = SECRET_KEY_PATTERN.test(key) && (typeof field === 'string' || typeof field === 'number')
+            ? maskSecret(field)
+            : maskFields(field);
+        return copy;
+    }, {});
+};
+
+const shellQuote = (text) => `'${String(text).replace(/'/g, `'\\''`)}'`;
+
+// The bearer token is added by apiClient and never recorded; the export leaves a variable in its place
+export const toCurl = ({ method = 'GET', url, headers = {}, body }) => {
+    const parts = [`curl -X ${method} ${shellQuote(url)}`, '-H "Authorization: Bearer $SECUREPAY_TOKEN"'];
+    const allHeaders = body === undefined ? headers : { 'Content-Type': 'application/json', ...headers };
+    Object.entries(allHeaders).forEach(([name, value]) => {
+        if (!SECRET_KEY_PATTERN.test(name)) {
+            parts.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+        }
+    });
+    if (body !== undefined) {
+        parts.push(`--data-raw ${shellQuote(typeof body === 'string' ? body : JSON.stringify(body))}`);
+    }
+    return parts.join(' \\\n  ');
+};
+
+export const createProtocolRecorder = ({ enabled = false, limit = DEFAULT_INSPECTOR_LIMIT, now = () => Date.now() } = {}) => {
+    let active = enabled;
+    let entries = [];
+    let sequence = 0;
+    const listeners = new Set();
+
+    const notify = () => listeners.forEach(listener => listener(entries));
+
+    return {
+        isEnabled: () => active,
+
+        setEnabled(next) {
+            active = Boolean(next);
+            if (!active) {
+                entries = [];
+            }
+            notify();
+        },
+
+        // flow groups the steps of one operation, e.g. "key-exchange" or "transaction"
+        record(flow, step, details = {}, request = null) {
+            if (!active) {
+                return;
+            }
+            sequence += 1;
+            const entry = {
+                id: sequence,
+                at: now(),
+                flow,
+                step,
+                details: maskFields(details),
+                request: request ? { ...request, headers: maskFields(request.headers || {}), body: maskFields(request.body) } : null
+            };
+            entries = [entry, ...entries].slice(0, limit);
+            notify();
+        },
+
+        list: () => entries,
+
+        clear() {
+            entries = [];
+            notify();
+        },
+
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+};
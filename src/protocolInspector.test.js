@@ -0,0 +1,62 @@
+import { createProtocolRecorder, maskFields, maskSecret, toCurl } from './protocolInspector';
+
+test('masks session keys and credentials but keeps blobs and signatures', () => {
+    const aesKeyBase64 = 'q83vEjRWeJCrze8SNFZ4kA==';
+    const masked = maskFields({
+        aesKeyBase64,
+        nested: { password: 'hunter2' },
+        pan: { iv: 'aXY=', ciphertext: 'Y3Q=' },
+        signature: 'c2lnbmF0dXJl'
+    });
+    expect(masked).toEqual({
+        aesKeyBase64: '•••• (24 chars)',
+        nested: { password: '•••• (7 chars)' },
+        pan: { iv: 'aXY=', ciphertext: 'Y3Q=' },
+        signature: 'c2lnbmF0dXJl'
+    });
+    // Not a single character of the key survives, not even at the ends
+    const shown = masked.aesKeyBase64.replace(/ \(\d+ chars\)$/, '');
+    expect([...aesKeyBase64].some(char => shown.includes(char))).toBe(false);
+    expect(maskSecret('short')).toBe('•••• (5 chars)');
+});
+
+test('records nothing until enabled and forgets everything when disabled', () => {
+    const recorder = createProtocolRecorder({ now: () => 5 });
+    const listener = jest.fn();
+    recorder.subscribe(listener);
+
+    recorder.record('transaction', 'sign', { base: 'x' });
+    expect(recorder.list()).toEqual([]);
+
+    recorder.setEnabled(true);
+    recorder.record('transaction', 'sign', { hmacKey: 'abcdefghijklmnop' });
+    expect(recorder.list()).toEqual([
+        { id: 1, at: 5, flow: 'transaction', step: 'sign', details: { hmacKey: '•••• (16 chars)' }, request: null }
+    ]);
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    recorder.setEnabled(false);
+    expect(recorder.list()).toEqual([]);
+});
+
+test('keeps only the newest entries', () => {
+    const recorder = createProtocolRecorder({ enabled: true, limit: 2 });
+    ['a', 'b', 'c'].forEach(step => recorder.record('flow', step));
+    expect(recorder.list().map(entry => entry.step)).toEqual(['c', 'b']);
+});
+
+test('exports a request as curl with shell quoting and a token placeholder', () => {
+    const curl = toCurl({
+        method: 'POST',
+        url: 'http://localhost:8080/api/transactions',
+        headers: { 'X-Nonce': 'abc', Authorization: 'Bearer secret' },
+        body: { note: "it's" }
+    });
+    expect(curl).toBe([
+        "curl -X POST 'http://localhost:8080/api/transactions'",
+        '-H "Authorization: Bearer $SECUREPAY_TOKEN"',
+        "-H 'Content-Type: application/json'",
+        "-H 'X-Nonce: abc'",
+        `--data-raw '{"note":"it'\\''s"}'`
+    ].join(' \\\n  '));
+});
@@ -0,0 +1,48 @@
+// Minimal path routing on top of the History API: patterns like '/merchants/:merchantId'
+// are matched against location.pathname and turned back into paths for links.
+
+const trimSlashes = (path) => path.replace(/^\/+|\/+$/g, '');
+
+const splitPath = (path) => {
+    const trimmed = trimSlashes(path);
+    return trimmed ? trimmed.split('/') : [];
+};
+
+// Params for a pattern, or null when the path does not match it exactly
+export const matchPath = (pattern, pathname) => {
+    const patternParts = splitPath(pattern);
+    const pathParts = splitPath(pathname);
+    if (patternParts.length !== pathParts.length) return null;
+
+    const params = {};
+    for (let i = 0; i < patternParts.length; i++) {
+        if (patternParts[i].startsWith(':')) {
+            try {
+                params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+            } catch (error) {
+                return null;
+            }
+        } else if (patternParts[i] !== pathParts[i]) {
+            return null;
+        }
+    }
+    return params;
+};
+
+// First route whose pattern matches; routes are { name, path, ... }
+export const matchRoute = (routes, pathname) => {
+    for (const route of routes) {
+        const params = matchPath(route.path, pathname);
+        if (params) return { route, params };
+    }
+    return null;
+};
+
+export const buildPath = (pattern, params = {}) => `/${splitPath(pattern).map(part => {
+    if (!part.startsWith(':')) return part;
+    const value = params[part.slice(1)];
+    if (value === undefined || value === null || value === '') {
+        throw new Error(`Missing route parameter ${part.slice(1)} for ${pattern}`);
+    }
+    return encodeURIComponent(value);
+}).join('/')}`;
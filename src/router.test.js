@@ -0,0 +1,31 @@
+import { matchPath, matchRoute, buildPath } from './router';
+
+const routes = [
+    { name: 'merchants', path: '/merchants' },
+    { name: 'newTransaction', path: '/merchants/:merchantId/transactions/new' },
+    { name: 'transaction', path: '/merchants/:merchantId/transactions/:transactionId' },
+    { name: 'merchant', path: '/merchants/:merchantId' }
+];
+
+test('matches static and parameterised segments', () => {
+    expect(matchPath('/merchants', '/merchants/')).toEqual({});
+    expect(matchPath('/merchants/:merchantId', '/merchants/42')).toEqual({ merchantId: '42' });
+    expect(matchPath('/merchants/:merchantId', '/merchants/42/keys')).toBeNull();
+    expect(matchPath('/', '/')).toEqual({});
+});
+
+test('picks the first matching route in order', () => {
+    expect(matchRoute(routes, '/merchants/42/transactions/new')).toEqual({
+        route: routes[1],
+        params: { merchantId: '42' }
+    });
+    expect(matchRoute(routes, '/merchants/42/transactions/tx%2F9').params).toEqual({ merchantId: '42', transactionId: 'tx/9' });
+    expect(matchRoute(routes, '/nowhere')).toBeNull();
+});
+
+test('builds paths with encoded parameters', () => {
+    expect(buildPath('/merchants/:merchantId/transactions/:transactionId', { merchantId: 42, transactionId: 'tx/9' }))
+        .toBe('/merchants/42/transactions/tx%2F9');
+    expect(buildPath('/')).toBe('/');
+    expect(() => buildPath('/merchants/:merchantId')).toThrow('Missing route parameter merchantId');
+});
@@ -0,0 +1,37 @@
+/* eslint-disable no-restricted-globals */
+
+// Offline mode service worker. It sends the queued transactions when the page reports the
+// backend healthy again, so a flush that has started survives a reload or a closed tab.
+// The page owns the session and passes the access token and re-signed headers every time.
+
+import { createOfflineQueueStore, createQueueSender, flushQueue } from './offlineQueue';
+
+// The build injects its asset list here; nothing is precached, the worker only sends the queue
+const precacheManifest = self.__WB_MANIFEST; // eslint-disable-line no-unused-vars
+
+const store = createOfflineQueueStore({ indexedDB: self.indexedDB });
+
+// One flush at a time, so an entry is never posted twice concurrently
+let flushing = Promise.resolve();
+
+const flush = async ({ baseUrl, accessToken, overrides }) => flushQueue({
+    store,
+    deviceKey: await store.getDeviceKey(),
+    send: createQueueSender({ baseUrl, accessToken }),
+    overrides
+});
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+    if (!event.data || event.data.type !== 'flush-offline-queue') return;
+    const [port] = event.ports;
+    const run = flushing.then(() => flush(event.data));
+    flushing = run.catch(() => {});
+    event.waitUntil(run.then(
+        results => port.postMessage({ results }),
+        error => port.postMessage({ error: error.message })
+    ));
+});
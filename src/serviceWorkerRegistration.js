@@ -0,0 +1,27 @@
+// Registration and messaging for the offline mode service worker (src/service-worker.js).
+// The worker only exists in production builds; elsewhere these calls do nothing.
+
+const isSupported = () => process.env.NODE_ENV === 'production' && typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+export const registerOfflineWorker = async () => {
+    if (!isSupported()) return null;
+    return navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+};
+
+// Resolves with the worker's reply, or null when no worker controls this page yet
+export const postToOfflineWorker = (message) => {
+    const controller = isSupported() ? navigator.serviceWorker.controller : null;
+    if (!controller) return Promise.resolve(null);
+
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (event) => {
+            if (event.data && event.data.error) {
+                reject(new Error(event.data.error));
+            } else {
+                resolve(event.data);
+            }
+        };
+        controller.postMessage(message, [channel.port2]);
+    });
+};
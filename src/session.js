@@ -0,0 +1,123 @@
+// Operator login session: the access and refresh tokens, who is signed in and what their
+// role lets them do. Kept in sessionStorage so it ends with the browser tab.
+
+export const SESSION_STORAGE_KEY = 'securepay.session';
+
+// Refresh this long before the access token runs out
+export const TOKEN_REFRESH_SKEW_MS = 60 * 1000;
+
+export const ROLES = {
+    ADMIN: 'admin',
+    MERCHANT_OPERATOR: 'merchant_operator',
+    AUDITOR: 'auditor'
+};
+
+export const ROLE_LABELS = {
+    [ROLES.ADMIN]: 'Admin',
+    [ROLES.MERCHANT_OPERATOR]: 'Merchant operator',
+    [ROLES.AUDITOR]: 'Auditor (read-only)'
+};
+
+const ROLE_PERMISSIONS = {
+    [ROLES.ADMIN]: ['manageMerchants', 'manageClientKeys', 'exchangeKeys', 'createTransactions', 'modifyTransactions', 'viewTransactions'],
+    [ROLES.MERCHANT_OPERATOR]: ['manageClientKeys', 'exchangeKeys', 'createTransactions', 'modifyTransactions', 'viewTransactions'],
+    [ROLES.AUDITOR]: ['viewTransactions']
+};
+
+// Backends may spell roles as ADMIN, ROLE_ADMIN or merchant-operator
+export const normalizeRole = (role) => String(role || '').toLowerCase().replace(/^role_/, '').replace(/-/g, '_');
+
+export const can = (user, permission) => Boolean(user && (ROLE_PERMISSIONS[normalizeRole(user.role)] || []).includes(permission));
+
+// Turn a login or refresh response into the stored session
+export const toSession = (response, now = Date.now()) => {
+    if (!response || !response.accessToken) {
+        throw new Error('Login response did not include an access token');
+    }
+    const expiresAt = response.expiresAt || (response.expiresIn ? now + response.expiresIn * 1000 : null);
+    return {
+        accessToken: response.accessToken,
+        refreshToken: response.refreshToken || null,
+        expiresAt,
+        user: response.user ? { ...response.user, role: normalizeRole(response.user.role) } : null
+    };
+};
+
+// `refresh(refreshToken)` calls the backend and resolves with a login-style response
+export const createSessionManager = ({
+    refresh,
+    storage = window.sessionStorage,
+    storageKey = SESSION_STORAGE_KEY,
+    now = () => Date.now()
+} = {}) => {
+    const listeners = new Set();
+    let session = null;
+    let refreshing = null;
+
+    try {
+        session = JSON.parse(storage.getItem(storageKey) || 'null');
+    } catch (error) {
+        session = null;
+    }
+
+    const save = (next) => {
+        session = next;
+        if (next) {
+            storage.setItem(storageKey, JSON.stringify(next));
+        } else {
+            storage.removeItem(storageKey);
+        }
+        listeners.forEach(listener => listener(next));
+    };
+
+    const manager = {
+        get: () => session,
+
+        start(response) {
+            save(toSession(response, now()));
+            return session;
+        },
+
+        clear() {
+            save(null);
+        },
+
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        // Concurrent callers share one refresh; a failed refresh ends the session
+        refresh() {
+            if (!refreshing) {
+                const current = session;
+                refreshing = (async () => {
+                    if (!current || !current.refreshToken) {
+                        save(null);
+                        throw new Error('Session expired, please sign in again');
+                    }
+                    try {
+                        const next = toSession(await refresh(current.refreshToken), now());
+                        save({ ...next, refreshToken: next.refreshToken || current.refreshToken, user: next.user || current.user });
+                    } catch (error) {
+                        save(null);
+                        throw error;
+                    }
+                })().finally(() => {
+                    refreshing = null;
+                });
+            }
+            return refreshing;
+        },
+
+        // The token to send right now, renewed first if it is about to expire
+        async getAccessToken() {
+            if (!session) return null;
+            if (session.expiresAt && session.expiresAt - TOKEN_REFRESH_SKEW_MS <= now()) {
+                await manager.refresh();
+            }
+            return session ? session.accessToken : null;
+        }
+    };
+    return manager;
+};
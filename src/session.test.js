@@ -0,0 +1,66 @@
+import { createSessionManager, can, normalizeRole, SESSION_STORAGE_KEY } from './session';
+
+const createClock = (start = 1000000) => {
+    let time = start;
+    return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+const loginResponse = (accessToken, extra = {}) => ({
+    accessToken,
+    refreshToken: 'refresh-1',
+    expiresIn: 600,
+    user: { username: 'ops', role: 'ROLE_MERCHANT_OPERATOR' },
+    ...extra
+});
+
+beforeEach(() => {
+    window.sessionStorage.clear();
+});
+
+test('maps roles to permissions', () => {
+    expect(normalizeRole('ROLE_MERCHANT-OPERATOR')).toBe('merchant_operator');
+    expect(can({ role: 'admin' }, 'manageMerchants')).toBe(true);
+    expect(can({ role: 'merchant_operator' }, 'manageMerchants')).toBe(false);
+    expect(can({ role: 'merchant_operator' }, 'createTransactions')).toBe(true);
+    expect(can({ role: 'auditor' }, 'createTransactions')).toBe(false);
+    expect(can({ role: 'auditor' }, 'viewTransactions')).toBe(true);
+    expect(can(null, 'viewTransactions')).toBe(false);
+});
+
+test('stores the session for the tab and notifies listeners', () => {
+    const manager = createSessionManager({ refresh: jest.fn() });
+    const listener = jest.fn();
+    manager.subscribe(listener);
+
+    manager.start(loginResponse('access-1'));
+    expect(manager.get().user.role).toBe('merchant_operator');
+    expect(createSessionManager({ refresh: jest.fn() }).get().accessToken).toBe('access-1');
+
+    manager.clear();
+    expect(window.sessionStorage.getItem(SESSION_STORAGE_KEY)).toBeNull();
+    expect(listener).toHaveBeenLastCalledWith(null);
+});
+
+test('refreshes a token that is about to expire, once for concurrent callers', async () => {
+    const clock = createClock();
+    const refresh = jest.fn(async () => ({ accessToken: 'access-2', expiresIn: 600 }));
+    const manager = createSessionManager({ refresh, now: clock.now });
+    manager.start(loginResponse('access-1'));
+
+    await expect(manager.getAccessToken()).resolves.toBe('access-1');
+    clock.advance(550 * 1000);
+    const tokens = await Promise.all([manager.getAccessToken(), manager.getAccessToken()]);
+    expect(tokens).toEqual(['access-2', 'access-2']);
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(refresh).toHaveBeenCalledWith('refresh-1');
+    expect(manager.get().refreshToken).toBe('refresh-1');
+    expect(manager.get().user.username).toBe('ops');
+});
+
+test('ends the session when refresh fails', async () => {
+    const manager = createSessionManager({ refresh: async () => { throw new Error('revoked'); } });
+    manager.start(loginResponse('access-1'));
+
+    await expect(manager.refresh()).rejects.toThrow('revoked');
+    expect(manager.get()).toBeNull();
+});
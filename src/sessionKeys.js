@@ -0,0 +1,64 @@
+// Session keys from the key exchange, held as non-extractable WebCrypto keys so that
+// React state, DevTools and error dumps only ever see opaque handles.
+
+// WebCrypto has no AES-OCB, so OCB key bytes stay here, reachable only through the handle
+const ocbKeyBytes = new WeakMap();
+
+const decodeBase64 = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+const encodeBase64 = (bytes) => btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+
+const importAesKey = async (bytes, aesMode, subtle) => {
+    if (aesMode === 'AES-GCM') {
+        return subtle.importKey('raw', bytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    }
+    if (aesMode === 'AES-OCB') {
+        const handle = Object.freeze({ type: 'secret', algorithm: { name: 'AES-OCB' }, extractable: false });
+        ocbKeyBytes.set(handle, bytes.slice());
+        return handle;
+    }
+    throw new Error(`Unsupported AES mode: ${aesMode}`);
+};
+
+// Decodes, imports and then overwrites the decoded key bytes. The base64 strings themselves
+// cannot be wiped in JavaScript; callers drop every reference to them once this returns.
+export const importSessionKeys = async ({ aesKeyBase64, hmacKeyBase64, aesMode }, subtle = crypto.subtle) => {
+    if (!aesKeyBase64 || !hmacKeyBase64) {
+        throw new Error('Key exchange response is missing its session keys');
+    }
+    const aesBytes = decodeBase64(aesKeyBase64);
+    const hmacBytes = decodeBase64(hmacKeyBase64);
+    try {
+        return {
+            aesKey: await importAesKey(aesBytes, aesMode, subtle),
+            hmacKey: await subtle.importKey('raw', hmacBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+        };
+    } finally {
+        aesBytes.fill(0);
+        hmacBytes.fill(0);
+    }
+};
+
+// Raw bytes behind an AES-OCB handle, for the software OCB implementation
+export const ocbKeyMaterial = (handle) => {
+    const bytes = ocbKeyBytes.get(handle);
+    if (!bytes) {
+        throw new Error('AES-OCB key handle is unknown or was discarded');
+    }
+    return bytes;
+};
+
+// Zeroize OCB key bytes when a session key is replaced; WebCrypto keys are simply released
+export const discardSessionKeys = ({ aesKey } = {}) => {
+    const bytes = aesKey && ocbKeyBytes.get(aesKey);
+    if (bytes) {
+        bytes.fill(0);
+        ocbKeyBytes.delete(aesKey);
+    }
+};
+
+// Base64 HMAC-SHA256 of a UTF-8 message
+export const hmacSign = async (hmacKey, message, subtle = crypto.subtle) => {
+    const signature = await subtle.sign('HMAC', hmacKey, new TextEncoder().encode(message));
+    return encodeBase64(new Uint8Array(signature));
+};
@@ -0,0 +1,44 @@
+/**
+ * @jest-environment node
+ */
+
+import { webcrypto } from 'crypto';
+import { canonicalize } from './canonicalJson';
+import vectors from './canonicalJson.vectors.json';
+import { importSessionKeys, hmacSign, ocbKeyMaterial, discardSessionKeys } from './sessionKeys';
+
+const { subtle } = webcrypto;
+const [vector] = vectors.transactionHmac;
+const AES_KEY_BASE64 = 'AAECAwQFBgcICQoLDA0ODxAREhMUFRYXGBkaGxwdHh8=';
+
+test('signs the shared transaction vector through WebCrypto', async () => {
+    const { hmacKey } = await importSessionKeys({ aesKeyBase64: AES_KEY_BASE64, hmacKeyBase64: vector.hmacKeyBase64, aesMode: 'AES-GCM' }, subtle);
+    const base = canonicalize(JSON.parse(vector.transaction)) + vector.timestamp + vector.nonce + vector.idempotencyKey;
+
+    await expect(hmacSign(hmacKey, base, subtle)).resolves.toBe(vector.signature);
+});
+
+test('imports AES-GCM and HMAC keys as non-extractable', async () => {
+    const { aesKey, hmacKey } = await importSessionKeys({ aesKeyBase64: AES_KEY_BASE64, hmacKeyBase64: vector.hmacKeyBase64, aesMode: 'AES-GCM' }, subtle);
+
+    expect(aesKey.extractable).toBe(false);
+    expect(hmacKey.extractable).toBe(false);
+    await expect(subtle.exportKey('raw', aesKey)).rejects.toThrow();
+    await expect(subtle.exportKey('raw', hmacKey)).rejects.toThrow();
+});
+
+test('keeps AES-OCB key bytes behind an opaque handle until discarded', async () => {
+    const keys = await importSessionKeys({ aesKeyBase64: AES_KEY_BASE64, hmacKeyBase64: vector.hmacKeyBase64, aesMode: 'AES-OCB' }, subtle);
+    expect(Object.values(keys.aesKey)).not.toContainEqual(expect.any(Uint8Array));
+
+    const bytes = ocbKeyMaterial(keys.aesKey);
+    expect(bytes[31]).toBe(31);
+
+    discardSessionKeys(keys);
+    expect(bytes.every(byte => byte === 0)).toBe(true);
+    expect(() => ocbKeyMaterial(keys.aesKey)).toThrow('unknown or was discarded');
+});
+
+test('rejects a response without session keys', async () => {
+    await expect(importSessionKeys({ aesKeyBase64: AES_KEY_BASE64, aesMode: 'AES-GCM' }, subtle)).rejects.toThrow('missing its session keys');
+});
@@ -0,0 +1,11 @@
+// Loaded by the development server only. Serves the development client key from dev/keys,
+// which is outside public/ so that production builds never contain it.
+const path = require('path');
+
+const DEV_KEY_DIR = path.join(__dirname, '..', 'dev', 'keys');
+
+module.exports = (app) => {
+    app.get('/dev-keys/client_rsa_private.pem', (req, res) => {
+        res.sendFile(path.join(DEV_KEY_DIR, 'client_rsa_private.pem'));
+    });
+};
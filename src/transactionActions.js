@@ -0,0 +1,59 @@
+// Follow-up operations on an existing transaction (capture, void, refund), which ones its
+// current state allows, and how much money each can still move. Amounts are minor units.
+
+export const TRANSACTION_ACTIONS = {
+    capture: { id: 'capture', label: 'Capture', operation: 'CAPTURE', takesAmount: true },
+    void: { id: 'void', label: 'Void', operation: 'VOID', takesAmount: false },
+    refund: { id: 'refund', label: 'Refund', operation: 'REFUND', takesAmount: true }
+};
+
+const CAPTURED_STATUSES = ['APPROVED', 'CAPTURED', 'PARTIALLY_REFUNDED'];
+
+// Records from before amounts were kept in minor units cannot be acted on safely
+const hasMinorUnits = (transaction) => Number.isInteger(transaction.amountMinor);
+
+export const capturableMinor = (transaction) => (
+    hasMinorUnits(transaction) && transaction.status === 'AUTHORIZED' ? transaction.amountMinor : 0
+);
+
+// What has been captured minus what has already gone back to the cardholder
+export const refundableMinor = (transaction) => {
+    if (!hasMinorUnits(transaction) || !CAPTURED_STATUSES.includes(transaction.status)) return 0;
+    const captured = Number.isInteger(transaction.capturedAmountMinor) ? transaction.capturedAmountMinor : transaction.amountMinor;
+    return Math.max(0, captured - (transaction.refundedAmountMinor || 0));
+};
+
+export const allowedActions = (transaction) => {
+    const actions = [];
+    if (capturableMinor(transaction) > 0) {
+        actions.push(TRANSACTION_ACTIONS.capture, TRANSACTION_ACTIONS.void);
+    }
+    if (refundableMinor(transaction) > 0) {
+        actions.push(TRANSACTION_ACTIONS.refund);
+    }
+    return actions;
+};
+
+// The most an action may move: everything that is still capturable or refundable
+export const actionLimitMinor = (action, transaction) => (
+    action.id === 'refund' ? refundableMinor(transaction) : capturableMinor(transaction)
+);
+
+// Returns an error message, or null when the amount is acceptable for the action
+export const validateActionAmount = (action, transaction, amountMinor) => {
+    if (!action.takesAmount) return null;
+    if (!Number.isInteger(amountMinor) || amountMinor <= 0) return 'Amount must be greater than zero';
+    if (amountMinor > actionLimitMinor(action, transaction)) {
+        return `${action.label} cannot exceed the remaining balance`;
+    }
+    return null;
+};
+
+// The signed request body for an action; voids always release the full authorization
+export const buildActionRequest = (action, transaction, amountMinor) => ({
+    merchantId: transaction.merchantId,
+    transactionId: transaction.id,
+    operation: action.operation,
+    currency: transaction.currency,
+    ...(action.takesAmount ? { amountMinor } : {})
+});
@@ -0,0 +1,48 @@
+import {
+    TRANSACTION_ACTIONS,
+    allowedActions,
+    refundableMinor,
+    capturableMinor,
+    validateActionAmount,
+    buildActionRequest
+} from './transactionActions';
+
+const transaction = (extra) => ({ id: 7, merchantId: 42, amountMinor: 5000, currency: 'USD', ...extra });
+const actionIds = (tx) => allowedActions(tx).map(action => action.id);
+
+test('offers capture and void on authorizations only', () => {
+    expect(actionIds(transaction({ status: 'AUTHORIZED' }))).toEqual(['capture', 'void']);
+    expect(capturableMinor(transaction({ status: 'AUTHORIZED' }))).toBe(5000);
+    expect(actionIds(transaction({ status: 'VOIDED' }))).toEqual([]);
+    expect(actionIds(transaction({ status: 'DECLINED' }))).toEqual([]);
+});
+
+test('tracks the refundable balance across partial refunds', () => {
+    expect(refundableMinor(transaction({ status: 'APPROVED' }))).toBe(5000);
+    expect(refundableMinor(transaction({ status: 'CAPTURED', capturedAmountMinor: 3000 }))).toBe(3000);
+    expect(refundableMinor(transaction({ status: 'PARTIALLY_REFUNDED', refundedAmountMinor: 1200 }))).toBe(3800);
+    expect(actionIds(transaction({ status: 'PARTIALLY_REFUNDED', refundedAmountMinor: 1200 }))).toEqual(['refund']);
+    expect(actionIds(transaction({ status: 'REFUNDED', refundedAmountMinor: 5000 }))).toEqual([]);
+});
+
+test('offers nothing for records without minor units', () => {
+    expect(actionIds({ id: 1, status: 'APPROVED', amount: 50, currency: 'USD' })).toEqual([]);
+});
+
+test('limits amounts to the remaining balance', () => {
+    const refunded = transaction({ status: 'PARTIALLY_REFUNDED', refundedAmountMinor: 1200 });
+    expect(validateActionAmount(TRANSACTION_ACTIONS.refund, refunded, 3800)).toBeNull();
+    expect(validateActionAmount(TRANSACTION_ACTIONS.refund, refunded, 3801)).toMatch('remaining balance');
+    expect(validateActionAmount(TRANSACTION_ACTIONS.refund, refunded, 0)).toMatch('greater than zero');
+    expect(validateActionAmount(TRANSACTION_ACTIONS.void, refunded, null)).toBeNull();
+});
+
+test('builds the signed request body', () => {
+    const authorized = transaction({ status: 'AUTHORIZED' });
+    expect(buildActionRequest(TRANSACTION_ACTIONS.capture, authorized, 4000)).toEqual({
+        merchantId: 42, transactionId: 7, operation: 'CAPTURE', currency: 'USD', amountMinor: 4000
+    });
+    expect(buildActionRequest(TRANSACTION_ACTIONS.void, authorized, 4000)).toEqual({
+        merchantId: 42, transactionId: 7, operation: 'VOID', currency: 'USD'
+    });
+});
@@ -0,0 +1,32 @@
+// Transaction history filters: what the list request is built from, how a page of results is
+// read back, and which page links apply.
+
+export const EMPTY_TRANSACTION_FILTERS = { merchantId: '', status: '', from: '', to: '' };
+
+// Returns an error message, or null when the filters can be searched
+export const validateTransactionFilters = (filters) => (filters.merchantId ? null : 'Please select a merchant');
+
+// Filter values come from form fields, so the merchant ID is a string until here
+export const buildTransactionQuery = (filters, page = 0) => ({
+    merchantId: parseInt(filters.merchantId),
+    status: filters.status,
+    from: filters.from,
+    to: filters.to,
+    page
+});
+
+// Accept both a paged response and a plain array
+export const normalizeTransactionPage = (result) => {
+    if (Array.isArray(result)) {
+        return { transactions: result, totalPages: 1 };
+    }
+    return {
+        transactions: (result && result.content) || [],
+        totalPages: (result && result.totalPages) || 1
+    };
+};
+
+export const pageNavigation = (page, totalPages) => ({
+    hasPrevious: page > 0,
+    hasNext: page + 1 < totalPages
+});
@@ -0,0 +1,35 @@
+import {
+    EMPTY_TRANSACTION_FILTERS,
+    validateTransactionFilters,
+    buildTransactionQuery,
+    normalizeTransactionPage,
+    pageNavigation
+} from './transactionQuery';
+
+test('needs a merchant before searching', () => {
+    expect(validateTransactionFilters(EMPTY_TRANSACTION_FILTERS)).toBe('Please select a merchant');
+    expect(validateTransactionFilters({ ...EMPTY_TRANSACTION_FILTERS, merchantId: '3' })).toBeNull();
+});
+
+test('builds the list query from the form filters and the page', () => {
+    const filters = { merchantId: '3', status: 'CAPTURED', from: '2026-03-01', to: '2026-03-31' };
+
+    expect(buildTransactionQuery(filters, 2)).toEqual({ merchantId: 3, status: 'CAPTURED', from: '2026-03-01', to: '2026-03-31', page: 2 });
+    expect(buildTransactionQuery({ ...EMPTY_TRANSACTION_FILTERS, merchantId: '3' })).toEqual({ merchantId: 3, status: '', from: '', to: '', page: 0 });
+});
+
+test('reads a paged response and a plain array', () => {
+    const rows = [{ id: 1 }, { id: 2 }];
+
+    expect(normalizeTransactionPage({ content: rows, totalPages: 4 })).toEqual({ transactions: rows, totalPages: 4 });
+    expect(normalizeTransactionPage(rows)).toEqual({ transactions: rows, totalPages: 1 });
+    expect(normalizeTransactionPage({})).toEqual({ transactions: [], totalPages: 1 });
+    expect(normalizeTransactionPage(null)).toEqual({ transactions: [], totalPages: 1 });
+});
+
+test('offers the previous and next pages only where they exist', () => {
+    expect(pageNavigation(0, 1)).toEqual({ hasPrevious: false, hasNext: false });
+    expect(pageNavigation(0, 3)).toEqual({ hasPrevious: false, hasNext: true });
+    expect(pageNavigation(1, 3)).toEqual({ hasPrevious: true, hasNext: true });
+    expect(pageNavigation(2, 3)).toEqual({ hasPrevious: true, hasNext: false });
+});